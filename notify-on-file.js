@@ -1,6 +1,11 @@
-// VS Code API and Node.js path module
+// VS Code API and Node.js path/child_process/crypto/fs/http modules
 const vscode = require('vscode');
 const path = require('path');
+const cp = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
 
 // ── Utility helpers ────────────────────────────────────────────────────────────
 
@@ -18,13 +23,30 @@ function isObject(obj) { return (typeof obj === 'object') && !isArray(obj); }
 // otherwise returns deflt.
 function dblQuest(value, deflt) { return value !== undefined ? value : deflt; }
 
-// Shows a VS Code error popup and returns noObject (or "Unknown" as fallback).
+// Writes an error to the "Notify On File" output channel (and shows a VS Code error
+// popup if notify-on-file.errorNotifications is set) and returns noObject (or "Unknown" as fallback).
 // Used as a combined error-report + safe-return-value helper.
-function errorMessage(msg, noObject) { vscode.window.showErrorMessage(msg); return noObject ? noObject : "Unknown"; }
+function errorMessage(msg, noObject) {
+  getOutputChannel().appendLine(`[error] ${msg}`);
+  if (errorNotifications) { vscode.window.showErrorMessage(msg); }
+  return noObject ? noObject : "Unknown";
+}
 
 // The configuration key prefix used in settings.json ("notify-on-file.*")
 const extensionShortName = 'notify-on-file';
 
+// ── Output channel ─────────────────────────────────────────────────────────────
+
+// Created on first use so the "Notify On File" channel only shows up in the
+// Output panel once there is something to write to it.
+let outputChannel = undefined;
+// Setting notify-on-file.errorNotifications: also show errors as popups
+let errorNotifications = false;
+function getOutputChannel() {
+  if (!outputChannel) { outputChannel = vscode.window.createOutputChannel('Notify On File'); }
+  return outputChannel;
+}
+
 // ── Variable substitution engine ───────────────────────────────────────────────
 //
 // VS Code extensions support ${variable} placeholders in config strings,
@@ -53,6 +75,57 @@ function variableReplace(text, variableRegex, capGroupCount, replacement) {
   return text;
 }
 
+/**
+ * Async version of variableReplace: the replacement callback may return a Promise.
+ * The callbacks are called one after the other, in the order of the matches.
+ */
+async function variableReplaceAsync(text, variableRegex, capGroupCount, replacement) {
+  let varRE = new RegExp(`\\$\\{${variableRegex}\\}`, 'g');
+  let result = '';
+  let lastIndex = 0;
+  for (const m of text.matchAll(varRE)) {
+    result += text.substring(lastIndex, m.index) + await replacement(...m.slice(0, capGroupCount + 1));
+    lastIndex = m.index + m[0].length;
+  }
+  return result + text.substring(lastIndex);
+}
+
+/**
+ * Formats a date with the tokens YYYY, YY, MM, DD, HH, mm, ss and SSS,
+ * e.g. formatDate(date, 'YYYY-MM-DD HH:mm') → "2026-10-19 14:05".
+ */
+function formatDate(date, format) {
+  const pad = (n, len) => String(n).padStart(dblQuest(len, 2), '0');
+  const tokens = {
+    YYYY: date.getFullYear(), YY: pad(date.getFullYear() % 100),
+    MM: pad(date.getMonth() + 1), DD: pad(date.getDate()),
+    HH: pad(date.getHours()), mm: pad(date.getMinutes()), ss: pad(date.getSeconds()),
+    SSS: pad(date.getMilliseconds(), 3)
+  };
+  return format.replace(/YYYY|YY|MM|DD|HH|mm|ss|SSS/g, token => String(tokens[token]));
+}
+
+// Format used by ${date} and ${fileMtime} without a format string
+const defaultDateFormat = 'YYYY-MM-DD HH:mm:ss';
+
+/**
+ * Applies the filters of ${variable|filter|filter...} to a value.
+ * Filters: upper, lower, trim, replace:from:to (replaces all occurrences of from).
+ */
+function applyFilters(value, filters) {
+  for (const filter of filters.split('|')) {
+    const [name, ...params] = filter.split(':');
+    switch (name) {
+      case 'upper': value = value.toUpperCase(); break;
+      case 'lower': value = value.toLowerCase(); break;
+      case 'trim':  value = value.trim(); break;
+      case 'replace': value = value.split(dblQuest(params[0], '')).join(params.slice(1).join(':')); break;
+      default: errorMessage(`notify-on-file: unknown filter "${name}"`);
+    }
+  }
+  return value;
+}
+
 /**
  * Finds the workspace folder that contains the given URI.
  * In a multi-root workspace there can be several folders open at once;
@@ -91,6 +164,28 @@ function getNamedWorkspaceFolder(name) {
   return wsfLst[0];
 }
 
+// ${fileContent:firstLine|lastLine} read at most this number of bytes from the start or the end of the file
+const fileContentLineMaxSize = 64 * 1024;
+
+/** Reads the first or the last line of a file, '' if it can't be read. */
+async function readFileLine(fsPath, last) {
+  let handle = undefined;
+  try {
+    handle = await fs.promises.open(fsPath, 'r');
+    const size = (await handle.stat()).size;
+    const buffer = Buffer.alloc(Math.min(size, fileContentLineMaxSize));
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, last ? size - buffer.length : 0);
+    const lines = buffer.toString('utf8', 0, bytesRead).split(/\r?\n/);
+    // Ignore the empty "line" after the final line ending
+    if (lines.length > 1 && lines[lines.length - 1] === '') { lines.pop(); }
+    return last ? lines[lines.length - 1] : lines[0];
+  } catch (e) {
+    return '';
+  } finally {
+    if (handle) { await handle.close(); }
+  }
+}
+
 /**
  * Resolves "file-independent" variables synchronously.
  * These don't need a specific file URI – they depend only on the OS and workspace.
@@ -137,31 +232,116 @@ function variableSubstitutionSync_1(result, uri) {
 
 /**
  * Resolves all variables in text, including file-specific ones.
- * This is async because future variables might need async resolution.
+ * This is async because file stat and content variables read the file.
  *
  * Supported (in addition to variableSubstitutionSync_1):
  *   ${file}, ${relativeFile}, ${fileBasename}, ${fileBasenameNoExtension},
- *   ${fileExtname}, ${fileDirname}, ${relativeFileDirname}
+ *   ${fileExtname}, ${fileDirname}, ${relativeFileDirname},
+ *   ${fileSize}, ${fileMtime[:format]}, ${fileContent:firstLine|lastLine},
+ *   ${date[:format]}, ${eventType}, ${saveOrigin}, ${watcherName}, ${match:name}
+ * and filters on any variable: ${relativeFile|upper}, ${fileBasename|replace:a:b}
  *
  * The inner stringSubstitutionDepthN loop keeps resolving until no ${...}
  * remains – this handles chained variables like ${userHome} → ${env:...} → value.
+ * Values that come from the file and the event (contents, paths, captures, filter
+ * results) are not resolved again: a ${...} inside them stays as it is. If quote is
+ * given, these values are passed through it, e.g. shellQuote for a command line.
  */
-async function variableSubstitution(text, args, uri) {
+async function variableSubstitution(text, args, uri, quote) {
   args = dblQuest(args, {});
 
+  // Protected values are put in as placeholders and filled in after the last pass,
+  // so e.g. a first line "token=${env:TOKEN}" can't expand an environment variable
+  const protectedValues = [];
+  const protect = value => {
+    protectedValues.push(quote ? quote(String(value)) : String(value));
+    return `\u0000${protectedValues.length - 1}\u0000`;
+  };
+
+  // File stat and contents are read at most once per call; null if the file can't be read
+  let stat = undefined;
+  const getStat = async () => {
+    if (stat === undefined) {
+      try { stat = await vscode.workspace.fs.stat(uri); } catch (e) { stat = null; }
+    }
+    return stat;
+  };
+  const fileLines = {};  // firstLine / lastLine → text
+  const getLine = async which => {
+    if (fileLines[which] === undefined) { fileLines[which] = await readFileLine(uri.fsPath, which === 'lastLine'); }
+    return fileLines[which];
+  };
+
   // Single pass: resolves one level of variables.
   let stringSubstitution = async (text) => {
     if (!isString(text)) { return text; }
     var result = text;
 
+    // ${name|filter|...} → value of ${name} passed through the filters
+    result = await variableReplaceAsync(result, '([^{}|]+)\\|([^{}]+)', 2, async (m, name, filters) => {
+      return protect(applyFilters(await variableSubstitution('${' + name + '}', args, uri), filters));
+    });
+
     // First resolve file-independent variables (OS, env, workspace paths)
     result = variableSubstitutionSync_1(result, uri);
     if (result === undefined) { return undefined; }
+
+    // ${date} / ${date:format} → time of the event (or now), e.g. ${date:YYYY-MM-DD HH:mm}
+    const eventTime = dblQuest(args.eventTime, new Date());
+    result = variableReplace(result, 'date', 0, m => formatDate(eventTime, defaultDateFormat));
+    result = variableReplace(result, 'date:(.+?)', 1, (m, p1) => formatDate(eventTime, p1));
+
+    // ${count} → counter of the status bar item being shown
+    result = variableReplace(result, 'count', 0, m => String(dblQuest(args.count, '')));
+
+    // ${eventType} → create, change or delete; ${saveOrigin} → vscode or external
+    result = variableReplace(result, 'eventType', 0, m => dblQuest(args.eventType, ''));
+    result = variableReplace(result, 'saveOrigin', 0, m => dblQuest(args.saveOrigin, ''));
+    result = variableReplace(result, 'watcherName', 0, m => dblQuest(args.watcherName, ''));
+
+    // ${match:name} → capture group (name or number) of the watcher's pathRegex or tail include
+    result = variableReplace(result, 'match:(.+?)', 1, (m, p1) => protect(dblQuest(getProperty(dblQuest(args.match, {}), p1), '')));
+
+    // ${exitCode} → exit code of the last exec action in the same action list
+    result = variableReplace(result, 'exitCode', 0, m => String(dblQuest(args.exitCode, '')));
+
+    // ${httpStatus} → HTTP status of the last http action in the same action list
+    result = variableReplace(result, 'httpStatus', 0, m => String(dblQuest(args.httpStatus, '')));
+
+    // ${eventCount} → number of events collected by a batch (1 for a single event)
+    result = variableReplace(result, 'eventCount', 0, m => String(dblQuest(args.eventCount, 1)));
+
+    // ${fileList} → comma separated relative paths of the files in a batch (the file itself for a single event)
+    result = variableReplace(result, 'fileList', 0, m => {
+      return protect(dblQuest(args.fileList, uri ? vscode.workspace.asRelativePath(uri, false) : ''));
+    });
+
+    // ${line} → the appended line of a tail watcher (the first one with tail batch);
+    // ${lines} / ${lineCount} → all appended lines of the event and their number
+    result = variableReplace(result, 'line', 0, m => protect(dblQuest(args.line, '')));
+    result = variableReplace(result, 'lines', 0, m => protect(args.lines ? args.lines.join('\n') : dblQuest(args.line, '')));
+    result = variableReplace(result, 'lineCount', 0, m => String(args.lines ? args.lines.length : (args.line !== undefined ? 1 : 0)));
+
     if (!uri) { return result; }  // No file context → nothing more to resolve
 
     // ${file} → full filesystem path of the current file
     const fileFSPath = uri.fsPath;
-    result = variableReplace(result, 'file', 0, fileFSPath);
+    result = variableReplace(result, 'file', 0, m => protect(fileFSPath));
+
+    // ${oldFile} / ${oldRelativeFile} → the path before a rename (empty for other events)
+    result = variableReplace(result, 'oldFile', 0, m => protect(args.oldUri ? args.oldUri.fsPath : ''));
+    result = variableReplace(result, 'oldRelativeFile', 0, m => protect(args.oldUri ? vscode.workspace.asRelativePath(args.oldUri, false) : ''));
+
+    // ${fileSize} → size in bytes; ${fileMtime} / ${fileMtime:format} → last modification time
+    result = await variableReplaceAsync(result, 'fileSize', 0, async m => {
+      return (await getStat()) ? String(stat.size) : '';
+    });
+    result = await variableReplaceAsync(result, 'fileMtime(?::(.+?))?', 1, async (m, p1) => {
+      return (await getStat()) ? formatDate(new Date(stat.mtime), dblQuest(p1, defaultDateFormat)) : '';
+    });
+
+    // ${fileContent:firstLine} / ${fileContent:lastLine} → first or last line of the file
+    result = await variableReplaceAsync(result, 'fileContent:(firstLine|lastLine)', 1, async (m, p1) => protect(await getLine(p1)));
 
     // ${relativeFile} → path relative to the workspace root
     const relativeFile = URIWorkspaceFolder(uri, workspaceFolder => {
@@ -171,7 +351,7 @@ async function variableSubstitution(text, args, uri) {
       }
       return 'Unknown';
     });
-    result = variableReplace(result, 'relativeFile', 0, relativeFile);
+    result = variableReplace(result, 'relativeFile', 0, m => protect(relativeFile));
 
     // Split the URI path to extract filename parts
     const filePath = uri.path;
@@ -180,27 +360,27 @@ async function variableSubstitution(text, args, uri) {
 
     // ${fileBasename} → filename with extension, e.g. "app.js"
     const fileBasename = filePath.substring(lastSep + 1);
-    result = variableReplace(result, 'fileBasename', 0, fileBasename);
+    result = variableReplace(result, 'fileBasename', 0, m => protect(fileBasename));
 
     // ${fileBasenameNoExtension} → filename without extension, e.g. "app"
     const lastDot = fileBasename.lastIndexOf('.');
     const fileBasenameNoExtension = lastDot >= 0 ? fileBasename.substring(0, lastDot) : fileBasename;
-    result = variableReplace(result, 'fileBasenameNoExtension', 0, fileBasenameNoExtension);
+    result = variableReplace(result, 'fileBasenameNoExtension', 0, m => protect(fileBasenameNoExtension));
 
     // ${fileExtname} → extension including the dot, e.g. ".js"
     const fileExtname = lastDot >= 0 ? fileBasename.substring(lastDot) : '';
-    result = variableReplace(result, 'fileExtname', 0, fileExtname);
+    result = variableReplace(result, 'fileExtname', 0, m => protect(fileExtname));
 
     // ${fileDirname} → directory containing the file (full path)
     let fileDirname = fileFSPath.substring(0, fileFSPath.length - (fileBasename.length + 1));
-    result = variableReplace(result, 'fileDirname', 0, fileDirname);
+    result = variableReplace(result, 'fileDirname', 0, m => protect(fileDirname));
 
     // ${relativeFileDirname} → directory containing the file (relative to workspace)
     let relativeFileDirname = relativeFile;
     if (relativeFile.endsWith(fileBasename)) {
       relativeFileDirname = relativeFile.substring(0, relativeFile.length - (fileBasename.length + 1));
     }
-    result = variableReplace(result, 'relativeFileDirname', 0, relativeFileDirname);
+    result = variableReplace(result, 'relativeFileDirname', 0, m => protect(relativeFileDirname));
 
     return result;
   };
@@ -216,259 +396,2742 @@ async function variableSubstitution(text, args, uri) {
       if (newText === text) { break; }  // No further changes → stop to avoid infinite loop
       text = newText;
     }
-    return text;
+    // Final pass: fill in the protected values, without resolving them again
+    return text.replace(/\u0000(\d+)\u0000/g, (m, index) => protectedValues[Number(index)]);
   };
 
   return await stringSubstitutionDepthN(text);
 }
 
+/**
+ * Like variableSubstitution, but walks arrays and objects and substitutes every
+ * string it finds. Used for command arguments and environment maps.
+ */
+async function variableSubstitutionAll(value, args, uri) {
+  if (isString(value)) { return await variableSubstitution(value, args, uri); }
+  if (isArray(value)) {
+    let result = [];
+    for (const v of value) { result.push(await variableSubstitutionAll(v, args, uri)); }
+    return result;
+  }
+  if (value && isObject(value)) {
+    let result = {};
+    for (const key of Object.keys(value)) { result[key] = await variableSubstitutionAll(value[key], args, uri); }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Returns the substituted "args" of an action object as an array of command
+ * arguments; a value that is not an array is the single argument.
+ */
+async function commandArguments(action, args, uri) {
+  let commandArgs = await variableSubstitutionAll(getProperty(action, "args"), args, uri);
+  if (commandArgs === undefined) { return []; }
+  return isArray(commandArgs) ? commandArgs : [commandArgs];
+}
+
+// ── Conditions ─────────────────────────────────────────────────────────────────
+//
+// A "when" condition can be set on a watcher (checked when an event is due to run) and on
+// an action object (checked before the action runs). It is an object whose
+// tests must all be true, e.g.:
+//   { "eventType": "change", "contentMatches": "ERROR" }
+//   { "or": [ { "saveOrigin": "external" }, { "not": { "isDirty": true } } ] }
+// An array of conditions means all of them must be true.
+
+// Files larger than this are never read for contentMatches
+const conditionContentMaxSize = 10 * 1024 * 1024;
+
+const weekdayNames = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/** Converts "HH:mm" to minutes since midnight. */
+function minutesOfDay(time) {
+  const [hours, minutes] = String(time).split(':');
+  return Number(hours) * 60 + Number(dblQuest(minutes, 0));
+}
+
+/** Returns true if value equals expected, or is one of the elements if expected is an array. */
+function valueMatches(expected, value) {
+  return isArray(expected) ? expected.indexOf(value) >= 0 : expected === value;
+}
+
+/**
+ * Evaluates a when condition for a file event.
+ * @param {Object|Array} condition - The condition from settings.json (undefined is always true).
+ * @param {vscode.Uri}   uri       - URI of the file that triggered the event.
+ * @param {Object}       args      - Event values: eventType, saveOrigin.
+ */
+async function conditionMatches(condition, uri, args) {
+  if (condition === undefined) { return true; }
+  if (isArray(condition)) {
+    for (const c of condition) {
+      if (!(await conditionMatches(c, uri, args))) { return false; }
+    }
+    return true;
+  }
+  if (condition === null || !isObject(condition)) { return Boolean(condition); }
+
+  // The file stat is fetched at most once per condition; null if the file does not exist
+  let stat = undefined;
+  const getStat = async () => {
+    if (stat === undefined) {
+      try { stat = await vscode.workspace.fs.stat(uri); } catch (e) { stat = null; }
+    }
+    return stat;
+  };
+  const openDocument = () => findOpenDocument(uri);
+  const now = new Date();
+
+  for (const key of Object.keys(condition)) {
+    const value = condition[key];
+    let ok = true;
+    switch (key) {
+      case 'and': ok = await conditionMatches(isArray(value) ? value : [value], uri, args); break;
+      case 'or': {
+        ok = false;
+        for (const c of (isArray(value) ? value : [value])) {
+          if (await conditionMatches(c, uri, args)) { ok = true; break; }
+        }
+        break;
+      }
+      case 'not': ok = !(await conditionMatches(value, uri, args)); break;
+      case 'eventType': ok = valueMatches(value, args.eventType); break;
+      case 'saveOrigin': ok = valueMatches(value, args.saveOrigin); break;
+      case 'sizeGreaterThan': ok = !!(await getStat()) && stat.size > value; break;
+      case 'sizeLessThan': ok = !!(await getStat()) && stat.size < value; break;
+      case 'contentMatches': {
+        ok = false;
+        if ((await getStat()) && stat.size <= conditionContentMaxSize) {
+          const flags = getProperty(condition, 'contentFlags', '');
+          // An invalid regular expression is reported once by validateWatcher
+          if (regexProblem(value, flags)) { break; }
+          try {
+            const content = Buffer.from(await vscode.workspace.fs.readFile(uri)).toString('utf8');
+            ok = new RegExp(value, flags).test(content);
+          } catch (e) {
+            errorMessage(`notify-on-file contentMatches error: ${e.message}`);
+          }
+        }
+        break;
+      }
+      case 'contentFlags': break;  // Used by contentMatches
+      case 'weekday': {
+        const days = (isArray(value) ? value : [value]).map(day => isString(day) ? weekdayNames.indexOf(day.toLowerCase().substring(0, 3)) : day);
+        ok = days.indexOf(now.getDay()) >= 0;
+        break;
+      }
+      case 'timeFrom':
+      case 'timeTo': {
+        const minutes = now.getHours() * 60 + now.getMinutes();
+        const from = minutesOfDay(getProperty(condition, 'timeFrom', '00:00'));
+        const to = minutesOfDay(getProperty(condition, 'timeTo', '24:00'));
+        // A range like 22:00-06:00 wraps around midnight
+        ok = from <= to ? (minutes >= from && minutes < to) : (minutes >= from || minutes < to);
+        break;
+      }
+      case 'isOpen': ok = !!openDocument() === value; break;
+      case 'isDirty': {
+        const doc = openDocument();
+        ok = (!!doc && doc.isDirty) === value;
+        break;
+      }
+      default:
+        // Unknown keys are reported once by validateWatcher
+        ok = false;
+    }
+    if (!ok) { return false; }
+  }
+  return true;
+}
+
 // ── Status bar item cache ──────────────────────────────────────────────────────
 
 /**
  * Returns an existing status bar item by id, or creates a new one.
  * Status bar items are reused across multiple file events to avoid duplicates.
  * statusBarItems is a plain object used as a dictionary: { id: item, ... }
+ * An undefined alignment or priority keeps the one of an existing item.
  */
-function getStatusBarItem(id, statusBarItems) {
+function getStatusBarItem(id, statusBarItems, alignment, priority) {
   let item = statusBarItems[id];
+  if (item) {
+    alignment = dblQuest(alignment, item.alignment);
+    priority = dblQuest(priority, item.priority);
+  }
+  if (item && (item.alignment !== alignment || item.priority !== priority)) {
+    // Alignment and priority can only be set at creation: replace the item
+    item.dispose();
+    item = undefined;
+  }
   if (!item) {
     // StatusBarAlignment.Left = left side of the status bar; priority 0 = no special ordering
-    item = vscode.window.createStatusBarItem(id, vscode.StatusBarAlignment.Left, 0);
+    item = vscode.window.createStatusBarItem(id, dblQuest(alignment, vscode.StatusBarAlignment.Left), dblQuest(priority, 0));
     statusBarItems[id] = item;
   }
   return item;
 }
 
-// ── Action executor ────────────────────────────────────────────────────────────
+// Per status bar item id: the counter shown by ${count} and the pending timeoutMs timer
+let statusBarCounters = {};
+let statusBarTimers = {};
+
+/** Hides and destroys a status bar item and forgets its counter and timer. */
+function removeStatusBarItemById(id, statusBarItems) {
+  let statusBarItem = statusBarItems[id];
+  if (statusBarItem) {
+    statusBarItem.hide();
+    statusBarItem.dispose();        // Frees the VS Code resource
+    delete statusBarItems[id];      // Remove from cache
+  }
+  if (statusBarTimers[id]) { clearTimeout(statusBarTimers[id]); }
+  delete statusBarTimers[id];
+  delete statusBarCounters[id];
+}
 
 /**
- * Executes a list of actions for a file event.
- *
- * Each element of actionList is a plain object from settings.json, e.g.:
- *   { "autoSave": true }
- *   { "notify": "${relativeFile}", "openLabel": "Open" }
- *   { "showStatusBarItem": "myItem", "text": "Changed!" }
- *
- * Actions are executed in order. Multiple actions can be in one list.
- *
- * @param {vscode.Uri} uri         - URI of the file that triggered the event.
- * @param {Array}      actionList  - Array of action objects from config.
- * @param {Object}     statusBarItems - Shared status bar item cache.
+ * Updates the counter of a status bar item: "increment", "decrement" or "reset".
+ * Returns the new value.
  */
-async function actions(uri, actionList, statusBarItems) {
-  for (const action of actionList) {
+function updateStatusBarCounter(id, counter) {
+  let count = dblQuest(statusBarCounters[id], 0);
+  if (counter === 'increment') { count += 1; }
+  if (counter === 'decrement') { count = Math.max(count - 1, 0); }
+  if (counter === 'reset') { count = 0; }
+  statusBarCounters[id] = count;
+  return count;
+}
 
-    // ── showStatusBarItem ──────────────────────────────────────────────────────
-    // Creates or updates a status bar item at the bottom of the VS Code window.
-    // The value of showStatusBarItem is the item's unique ID.
-    let showStatusBarItem = getProperty(action, "showStatusBarItem");
-    if (showStatusBarItem) {
-      let statusBarItem = getStatusBarItem(showStatusBarItem, statusBarItems);
-      let backgroundColor = getProperty(action, "backgroundColor");
-      if (backgroundColor) { statusBarItem.backgroundColor = new vscode.ThemeColor(backgroundColor); }
-      let color = getProperty(action, "color");
-      if (color) { statusBarItem.color = new vscode.ThemeColor(color); }
-      let name = getProperty(action, "name");
-      if (name) { statusBarItem.name = name; }
-      let text = getProperty(action, "text");
-      if (text) { statusBarItem.text = text; }
-      let tooltip = getProperty(action, "tooltip");
-      if (tooltip) { statusBarItem.tooltip = tooltip; }
-      statusBarItem.show();
-    }
-
-    // ── removeStatusBarItem ───────────────────────────────────────────────────
-    // Hides and permanently destroys a status bar item by ID.
-    let removeStatusBarItem = getProperty(action, "removeStatusBarItem");
-    if (removeStatusBarItem) {
-      let statusBarItem = getStatusBarItem(removeStatusBarItem, statusBarItems);
-      statusBarItem.hide();
-      statusBarItem.dispose();           // Frees the VS Code resource
-      delete statusBarItems[removeStatusBarItem];  // Remove from cache
-    }
-
-    // ── notify ────────────────────────────────────────────────────────────────
-    // Shows a popup notification in the bottom-right corner of VS Code.
-    // The notification text supports ${variable} substitution (e.g. ${relativeFile}).
-    // An "Open" button is shown; clicking it opens the changed file in the editor.
-    let notify = getProperty(action, "notify");
-    if (notify) {
-      let args = {};
-      // Resolve ${...} variables in the notification text
-      const message = await variableSubstitution(notify, args, uri);
-      const openLabel = getProperty(action, "openLabel") || "Open";
-      // showInformationMessage returns the label of the button the user clicked,
-      // or undefined if the notification was dismissed.
-      const selected = await vscode.window.showInformationMessage(message, openLabel);
-      if (selected === openLabel) {
-        // User clicked "Open" → open the file in the editor
-        const doc = await vscode.workspace.openTextDocument(uri);
-        await vscode.window.showTextDocument(doc);
-      }
+// ── Shell process runner ───────────────────────────────────────────────────────
+
+// Running child processes of exec actions: action object → Set of child processes.
+// Used by "killPrevious" to stop the runs that are still busy when the next event arrives.
+let execProcesses = new Map();
+
+/**
+ * Quotes a value as one argument for the shell of exec: sh on Linux and macOS,
+ * cmd.exe on Windows, where a % can't be quoted and is escaped outside the quotes.
+ */
+function shellQuote(value) {
+  if (process.platform === 'win32') { return `"${value.replace(/"/g, '""').replace(/%/g, '"^%"')}"`; }
+  return `'${value.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Kills the shell of an exec action and the processes it started. Outside Windows
+ * the shell leads its own process group; on Windows taskkill ends the process tree.
+ */
+function killProcessTree(child) {
+  try {
+    if (process.platform === 'win32') {
+      cp.spawn('taskkill', ['/pid', String(child.pid), '/t', '/f']).on('error', () => child.kill());
+    } else {
+      process.kill(-child.pid);
     }
+  } catch (e) {
+    child.kill();
+  }
+}
+
+/**
+ * Runs the shell command of an exec action and resolves with its exit code.
+ * stdout/stderr go to the "Notify On File" output channel.
+ * Resolves with -1 if the process could not be started or was killed.
+ */
+async function runExec(command, action, args, uri) {
+  // File names and lines come from outside the workspace: they are quoted as one argument
+  command = await variableSubstitution(command, args, uri, shellQuote);
+  let cwd = await variableSubstitution(getProperty(action, "cwd"), args, uri);
+  if (!cwd) {
+    // Default: the workspace folder of the file, or the file's own directory
+    const wsf = vscode.workspace.getWorkspaceFolder(uri);
+    cwd = wsf ? wsf.uri.fsPath : path.dirname(uri.fsPath);
+  }
+  let env = await variableSubstitutionAll(getProperty(action, "env", {}), args, uri);
+  env = Object.assign({}, process.env, env);
+  const timeout = getProperty(action, "timeout", 0);
+
+  const previous = dblQuest(execProcesses.get(action), new Set());
+  if (previous.size > 0 && getProperty(action, "killPrevious")) {
+    getOutputChannel().appendLine(`[exec] killing previous run: ${command}`);
+    previous.forEach(killProcessTree);
+  }
 
-    // ── autoSave ──────────────────────────────────────────────────────────────
-    // Saves the changed file through VS Code so it gets recorded in Local History.
-    // Without this, files modified by external programs (Far Manager, Obsidian, etc.)
-    // would not appear in the Local History timeline.
-    let autoSave = getProperty(action, "autoSave");
-    if (autoSave) {
-      try {
-        // openTextDocument loads the file (picks up the external changes)
-        const doc = await vscode.workspace.openTextDocument(uri);
-        // doc.save() triggers VS Code's save pipeline, including Local History
-        await doc.save();
-      } catch (e) {
-        vscode.window.showErrorMessage(`notify-on-file autoSave error: ${e.message}`);
+  const channel = getOutputChannel();
+  if (getProperty(action, "showOutput")) { channel.show(true); }
+  channel.appendLine(`[exec] ${command}`);
+
+  return new Promise(resolve => {
+    let child;
+    let timer = undefined;
+    let finished = false;
+    const finish = (exitCode) => {
+      if (finished) { return; }
+      finished = true;
+      if (timer) { clearTimeout(timer); }
+      const running = execProcesses.get(action);
+      if (running) {
+        running.delete(child);
+        if (running.size === 0) { execProcesses.delete(action); }
       }
+      channel.appendLine(`[exec] exit code ${exitCode}: ${command}`);
+      resolve(exitCode);
+    };
+    try {
+      child = cp.spawn(command, { cwd, env, shell: true, detached: process.platform !== 'win32' });
+    } catch (e) {
+      channel.appendLine(`[exec] error: ${e.message}`);
+      return finish(-1);
     }
-  }
+    if (!execProcesses.has(action)) { execProcesses.set(action, new Set()); }
+    execProcesses.get(action).add(child);
+    if (timeout > 0) {
+      timer = setTimeout(() => {
+        channel.appendLine(`[exec] timeout after ${timeout}ms: ${command}`);
+        killProcessTree(child);
+      }, timeout);
+    }
+    child.stdout.on('data', data => channel.append(data.toString()));
+    child.stderr.on('data', data => channel.append(data.toString()));
+    child.on('error', e => { channel.appendLine(`[exec] error: ${e.message}`); finish(-1); });
+    // code is null when the process was terminated by a signal (kill, timeout)
+    child.on('close', code => finish(code === null ? -1 : code));
+  });
 }
 
-// ── Global state ───────────────────────────────────────────────────────────────
+/** Kills all child processes that are still running. */
+function killExecProcesses() {
+  for (const running of execProcesses.values()) { running.forEach(killProcessTree); }
+  execProcesses.clear();
+}
 
-// Cache of active status bar items, keyed by their ID string.
-let statusBarItems = {};
+// ── Event payload ──────────────────────────────────────────────────────────────
 
-// List of active watchers. Each entry: { watcher: FileSystemWatcher, events: Disposable[] }
-// Stored so we can dispose them all when the configuration changes.
-let watchers = [];
+/** Describes a file event as a plain object, for JSON bodies and JSON log lines. */
+function eventPayload(uri, args) {
+  return {
+    eventType: dblQuest(args.eventType, ''),
+    file: uri.fsPath,
+    relativeFile: vscode.workspace.asRelativePath(uri, false),
+    oldFile: args.oldUri ? args.oldUri.fsPath : undefined,
+    watcherName: dblQuest(args.watcherName, ''),
+    saveOrigin: dblQuest(args.saveOrigin, ''),
+    eventCount: dblQuest(args.eventCount, 1),
+    fileList: args.fileList,
+    line: args.line,
+    lines: args.lines,
+    time: dblQuest(args.eventTime, new Date()).toISOString()
+  };
+}
 
-// Set of file system paths recently saved by VS Code itself.
-// Used to distinguish VS Code saves from external program saves.
-//
-// How it works:
-//   1. onDidSaveTextDocument fires (VS Code save) → path is added here
-//   2. FileSystemWatcher.onChange fires shortly after → we check if path is in this Set
-//      - YES → saved by VS Code
-//      - NO  → saved by external program (Far Manager, Obsidian, etc.)
-//   3. After 500ms the path is removed (cleanup – it's no longer needed)
-//
-// The 500ms window is a safety margin: the onChange event always arrives
-// well within that time after onDidSaveTextDocument.
-let recentlySavedByVSCode = new Set();
+// ── Log files ──────────────────────────────────────────────────────────────────
 
-// ── Watcher lifecycle ──────────────────────────────────────────────────────────
+// Per log file path: the promise of the last queued write, so lines of events
+// that arrive at the same time are appended one after the other.
+let logQueues = new Map();
+
+/** Returns the local date of a Date as "YYYY-MM-DD". */
+function localDate(date) { return formatDate(date, 'YYYY-MM-DD'); }
 
 /**
- * Stops and destroys all active file system watchers.
- * Called before re-reading the configuration to avoid duplicate watchers.
+ * Rotates a log file before a line of lineSize bytes is appended.
+ *   rotateDaily : a file last written on another day is renamed to name.YYYY-MM-DD.ext
+ *   maxSize     : a file that would grow over maxSize is renamed to name.1, name.1 to
+ *                 name.2, ..., keeping at most maxFiles old files
  */
-function disposeWatchers() {
-  for (const w of watchers) {
-    for (const ev of w.events) { ev.dispose(); }  // Unsubscribe event listeners
-    w.watcher.dispose();                            // Stop the file system watcher
+async function rotateLogFile(logPath, lineSize, options) {
+  let stat;
+  try { stat = await fs.promises.stat(logPath); } catch (e) { return; }  // Nothing to rotate
+  if (options.rotateDaily) {
+    const fileDate = localDate(stat.mtime);
+    if (fileDate !== localDate(new Date())) {
+      const ext = path.extname(logPath);
+      await fs.promises.rename(logPath, `${logPath.substring(0, logPath.length - ext.length)}.${fileDate}${ext}`);
+      return;
+    }
   }
-  watchers = [];
+  if (options.maxSize > 0 && stat.size + lineSize > options.maxSize) {
+    await fs.promises.rm(`${logPath}.${options.maxFiles}`, { force: true });
+    for (let n = options.maxFiles - 1; n >= 1; --n) {
+      await fs.promises.rename(`${logPath}.${n}`, `${logPath}.${n + 1}`).catch(() => {});
+    }
+    await fs.promises.rename(logPath, `${logPath}.1`);
+  }
+}
+
+/** Appends a line to a log file, after the earlier queued lines for the same file. */
+function appendLogLine(logPath, line, options) {
+  const previous = dblQuest(logQueues.get(logPath), Promise.resolve());
+  const write = previous.then(async () => {
+    await fs.promises.mkdir(path.dirname(logPath), { recursive: true });
+    await rotateLogFile(logPath, Buffer.byteLength(line) + 1, options);
+    await fs.promises.appendFile(logPath, line + '\n', 'utf8');
+  });
+  // The queue continues after a failed write; the caller gets the error
+  const queued = write.catch(() => {});
+  logQueues.set(logPath, queued);
+  queued.then(() => { if (logQueues.get(logPath) === queued) { logQueues.delete(logPath); } });
+  return write;
 }
 
 /**
- * Creates a single file system watcher from a config object.
- *
- * watcherConfig corresponds to one entry in settings.json, e.g.:
- *   {
- *     "path": "${workspaceFolder}",
- *     "globPattern": "**\/*",
- *     "onChange": [ { "autoSave": true }, { "notify": "${relativeFile}" } ]
- *   }
- *
- * If "path" is given, the glob is relative to that path (RelativePattern).
- * If "path" is omitted, the glob is workspace-relative (default VS Code behavior).
- *
- * Event types: onChange, onCreate, onDelete.
- * Any omitted event type is ignored (ignoreXxxEvents = true).
+ * Runs a log action: formats the line (template or JSON) and appends it to the
+ * variable-expanded path. With "echo" the line is also written to the output channel.
  */
-async function createWatcher(watcherConfig) {
-  let toWatch = getProperty(watcherConfig, "globPattern", "*.js");
-  let watchPath = getProperty(watcherConfig, "path");
-  if (watchPath) {
-    // Resolve ${...} variables in the path string (e.g. ${workspaceFolder})
-    watchPath = await variableSubstitution(watchPath);
-    // RelativePattern scopes the glob to a specific directory
-    toWatch = new vscode.RelativePattern(vscode.Uri.file(watchPath), toWatch);
+async function runLog(logPath, action, args, uri) {
+  logPath = await variableSubstitution(logPath, args, uri);
+  const json = getProperty(action, "json");
+  let line;
+  if (json) {
+    line = JSON.stringify(isObject(json) ? await variableSubstitutionAll(json, args, uri) : eventPayload(uri, args));
+  } else {
+    line = await variableSubstitution(getProperty(action, "line", "${date} ${eventType} ${relativeFile}"), args, uri);
   }
+  if (getProperty(action, "echo")) { getOutputChannel().appendLine(line); }
+  await appendLogLine(logPath, line, {
+    maxSize: getProperty(action, "maxSize", 0),
+    maxFiles: getProperty(action, "maxFiles", 5),
+    rotateDaily: getProperty(action, "rotateDaily", false)
+  });
+}
 
-  let onCreate = getProperty(watcherConfig, "onCreate");
-  let onChange = getProperty(watcherConfig, "onChange");
-  let onDelete = getProperty(watcherConfig, "onDelete");
+// ── HTTP requests ──────────────────────────────────────────────────────────────
 
-  // Tell VS Code to ignore event types we have no actions for (performance optimization)
-  let ignoreCreateEvents = onCreate === undefined;
-  let ignoreChangeEvents = onChange === undefined;
-  let ignoreDeleteEvents = onDelete === undefined;
+// Number of characters of a response body that are read; only its start is logged
+const httpResponseMaxSize = 64 * 1024;
 
-  const watcher = vscode.workspace.createFileSystemWatcher(
-    toWatch, ignoreCreateEvents, ignoreChangeEvents, ignoreDeleteEvents
-  );
+/**
+ * Sends one HTTP(S) request. Resolves with { status, body }, with at most
+ * httpResponseMaxSize characters of the body. Rejects on a network error or when
+ * the server is silent for timeout milliseconds.
+ */
+function httpRequest(url, method, headers, body, timeout) {
+  return new Promise((resolve, reject) => {
+    const parsed = new URL(url);
+    const client = parsed.protocol === 'https:' ? https : http;
+    const request = client.request(parsed, { method, headers, timeout }, response => {
+      let responseBody = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => {
+        responseBody += chunk;
+        if (responseBody.length >= httpResponseMaxSize) {
+          resolve({ status: response.statusCode, body: responseBody.substring(0, httpResponseMaxSize) });
+          response.destroy();
+        }
+      });
+      response.on('end', () => resolve({ status: response.statusCode, body: responseBody }));
+      // E.g. the timeout destroys the request after the headers arrived
+      response.on('error', reject);
+    });
+    request.on('timeout', () => request.destroy(new Error(`timeout after ${timeout}ms`)));
+    request.on('error', reject);
+    if (body !== undefined) { request.write(body); }
+    request.end();
+  });
+}
 
-  // Subscribe to the relevant events and store the Disposables so we can clean up later
-  // triggerOnVSCodeSave: if false, onChange actions are skipped when VS Code saved the file.
-  // triggerOnExternalSave: if false, onChange actions are skipped when an external program saved the file.
-  // Both default to true (react to all saves) when not specified.
-  const triggerOnVSCodeSave    = dblQuest(getProperty(watcherConfig, "triggerOnVSCodeSave"),    true);
-  const triggerOnExternalSave  = dblQuest(getProperty(watcherConfig, "triggerOnExternalSave"),  true);
+/**
+ * Runs an http action: builds the request from the action object and sends it,
+ * with "retries" extra attempts on network errors and 5xx/429 responses. The delay
+ * between attempts starts at retryDelayMs and doubles each time.
+ * Failures are written to the output channel. Resolves with the HTTP status (0 if
+ * no response arrived) and an error description if the request failed.
+ */
+async function runHttp(url, action, args, uri) {
+  url = await variableSubstitution(url, args, uri);
+  const method = getProperty(action, "method", "POST").toUpperCase();
+  const headers = await variableSubstitutionAll(getProperty(action, "headers", {}), args, uri);
+  let body = undefined;
+  const json = getProperty(action, "json");
+  if (json) {
+    // json: true sends the event description, an object is sent with its strings substituted
+    const payload = isObject(json) ? await variableSubstitutionAll(json, args, uri) : eventPayload(uri, args);
+    body = JSON.stringify(payload);
+    if (!Object.keys(headers).some(h => h.toLowerCase() === 'content-type')) { headers['Content-Type'] = 'application/json'; }
+  } else if (getProperty(action, "body") !== undefined) {
+    body = await variableSubstitution(getProperty(action, "body"), args, uri);
+  }
+  const retries = getProperty(action, "retries", 0);
+  let delay = getProperty(action, "retryDelayMs", 1000);
+  const timeout = getProperty(action, "timeout", 10000);
 
-  const events = [];
-  if (onChange) {
-    events.push(watcher.onDidChange(uri => {
-      const savedByVSCode = recentlySavedByVSCode.has(uri.fsPath);
-      // Skip if the save source doesn't match the watcher's filter settings
-      if (savedByVSCode  && !triggerOnVSCodeSave)   { return; }
-      if (!savedByVSCode && !triggerOnExternalSave)  { return; }
-      actions(uri, onChange, statusBarItems);
-    }));
+  const channel = getOutputChannel();
+  let error = undefined;
+  let status = 0;
+  for (let attempt = 0; attempt <= retries; ++attempt) {
+    if (attempt > 0) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+      delay *= 2;
+    }
+    try {
+      const response = await httpRequest(url, method, headers, body, timeout);
+      status = response.status;
+      if (status < 400) { return { status }; }
+      error = `HTTP ${status}`;
+      channel.appendLine(`[http] ${method} ${url}: HTTP ${status} ${response.body.substring(0, 200)}`);
+      // Client errors won't get better by trying again
+      if (status < 500 && status !== 429) { break; }
+    } catch (e) {
+      error = e.message;
+      channel.appendLine(`[http] ${method} ${url}: ${e.message}`);
+    }
   }
-  if (onCreate) { events.push(watcher.onDidCreate(uri => { actions(uri, onCreate, statusBarItems); })); }
-  if (onDelete) { events.push(watcher.onDidDelete(uri => { actions(uri, onDelete, statusBarItems); })); }
+  channel.appendLine(`[http] ${method} ${url} failed: ${error}`);
+  return { status, error };
+}
+
+// ── Auto save ──────────────────────────────────────────────────────────────────
 
-  watchers.push({ watcher, events });
+// Files larger than this are not saved by autoSave unless the action sets maxSize
+const autoSaveMaxSize = 5 * 1024 * 1024;
+
+/** Returns the open text document of uri, or undefined if VS Code has not loaded it. */
+function findOpenDocument(uri) {
+  return vscode.workspace.textDocuments.find(doc => doc.uri.toString() === uri.toString());
 }
 
 /**
- * Reads the current configuration and (re)creates all file watchers.
- * Called on startup and whenever settings.json changes.
- *
- * Supports two config formats:
- *
- * New format (array, multiple watchers):
- *   "notify-on-file.watchers": [ { ... }, { ... } ]
- *
- * Legacy format (single watcher object, backward compatible with original extension):
- *   "notify-on-file.notify": { ... }
+ * Runs a command that works on the active editor (e.g. revert, save without
+ * formatting) for doc, then shows the previously active editor again. The editor
+ * of doc is a preview editor and the focus stays where it is, e.g. in the terminal.
  */
-async function updateConfiguration() {
-  disposeWatchers();  // Always start fresh
-  let configuration = vscode.workspace.getConfiguration(extensionShortName, null);
-
-  // New format: array of watcher configs
-  let watcherList = configuration.get('watchers');
-  if (isArray(watcherList) && watcherList.length > 0) {
-    for (const watcherConfig of watcherList) {
-      await createWatcher(watcherConfig);
+async function runEditorCommand(doc, command) {
+  const previous = vscode.window.activeTextEditor;
+  await vscode.window.showTextDocument(doc, { preview: true, preserveFocus: true });
+  try {
+    await vscode.commands.executeCommand(command, doc.uri);
+  } finally {
+    if (previous && previous.document !== doc) {
+      await vscode.window.showTextDocument(previous.document, { viewColumn: previous.viewColumn, preserveFocus: true });
     }
-    return;  // Don't fall through to legacy format
   }
+}
 
-  // Legacy format: single "notify" object (original extension behavior)
-  let notify = configuration.get('notify');
-  if (notify && isObject(notify)) {
-    await createWatcher(notify);
+/** Reloads the editor of uri from disk, dropping its unsaved edits. Does nothing if the file is not open. */
+async function revertDocument(uri) {
+  const doc = findOpenDocument(uri);
+  if (doc && doc.isDirty) { await runEditorCommand(doc, 'workbench.action.files.revert'); }
+}
+
+/**
+ * Returns why the file should not be auto saved (missing, larger than maxSize or
+ * binary: a NUL byte in the first 8 KB), or undefined if it can be saved.
+ * Only the first 8 KB are read.
+ */
+async function autoSaveGuard(uri, maxSize) {
+  let stat;
+  try { stat = await vscode.workspace.fs.stat(uri); } catch (e) { return 'file not found'; }
+  if (stat.size > maxSize) { return `file larger than ${maxSize} bytes`; }
+  let handle;
+  try {
+    handle = await fs.promises.open(uri.fsPath, 'r');
+    const { bytesRead, buffer } = await handle.read(Buffer.alloc(8192), 0, 8192, 0);
+    if (buffer.subarray(0, bytesRead).indexOf(0) >= 0) { return 'binary file'; }
+  } catch (e) {
+    return `can't read the file: ${e.message}`;
+  } finally {
+    if (handle) { await handle.close(); }
   }
 }
 
-// ── Extension entry points ─────────────────────────────────────────────────────
+/**
+ * Runs an autoSave action. If the file has unsaved edits in an editor, onDirty decides:
+ *   skip     : leave the editor alone (default)
+ *   ask      : let the user keep the disk version or save the edits over it
+ *   keepDisk : revert the editor to the disk version
+ * Returns a failure description if the file was not saved.
+ */
+async function runAutoSave(uri, action) {
+  const guard = await autoSaveGuard(uri, getProperty(action, "maxSize", autoSaveMaxSize));
+  if (guard) { return `not saved: ${guard}`; }
+  let doc = findOpenDocument(uri);
+  if (doc && doc.isDirty) {
+    let onDirty = getProperty(action, "onDirty", "skip");
+    if (onDirty === "ask") {
+      const keepDisk = 'Keep Disk Version', saveEdits = 'Save My Edits';
+      const selected = await vscode.window.showWarningMessage(
+        `${vscode.workspace.asRelativePath(uri, false)} was changed on disk and has unsaved edits.`, keepDisk, saveEdits);
+      onDirty = selected === keepDisk ? "keepDisk" : selected === saveEdits ? "save" : "skip";
+    }
+    if (onDirty === "keepDisk") {
+      await revertDocument(uri);
+    } else if (onDirty !== "save") {
+      return 'not saved: unsaved edits in the editor';
+    }
+  }
+  // openTextDocument loads the file (picks up the external changes)
+  doc = await vscode.workspace.openTextDocument(uri);
+  if (getProperty(action, "skipSaveParticipants")) {
+    // No API saves without formatters and other save participants, only this editor command
+    await runEditorCommand(doc, 'workbench.action.files.saveWithoutFormatting');
+  } else {
+    // doc.save() triggers VS Code's save pipeline, including Local History
+    await doc.save();
+  }
+}
+
+// ── Action executor ────────────────────────────────────────────────────────────
 
 /**
- * Called by VS Code when the extension is loaded.
- * Sets up a listener for configuration changes and runs the initial setup.
+ * Executes a list of actions for a file event.
  *
- * context.subscriptions: VS Code automatically disposes everything in this array
- * when the extension is deactivated, so we don't need to manually unsubscribe.
+ * Each element of actionList is a plain object from settings.json, e.g.:
+ *   { "autoSave": true }
+ *   { "notify": "${relativeFile}", "openLabel": "Open" }
+ *   { "showStatusBarItem": "myItem", "text": "Changed!" }
+ *   { "exec": "npm run generate", "timeout": 60000 }
+ *   { "http": "http://localhost:8080/events", "json": true }
+ *
+ * Actions are executed in order. Multiple actions can be in one list.
+ *
+ * @param {vscode.Uri} uri         - URI of the file that triggered the event.
+ * @param {Array}      actionList  - Array of action objects from config.
+ * @param {Object}     statusBarItems - Shared status bar item cache.
+ * @param {Object}     [args]      - Values shared by the actions of this list (e.g. exitCode).
+ * @returns {Promise<Array>} One { action, ok, error } result per action object.
  */
-function activate(context) {
-  vscode.workspace.onDidChangeConfiguration(configevent => {
-    // Only react if our own config section changed
-    if (configevent.affectsConfiguration(extensionShortName)) { updateConfiguration(); }
+async function actions(uri, actionList, statusBarItems, args) {
+  args = dblQuest(args, {});
+  args.results = dblQuest(args.results, []);
+  for (const action of actionList) {
+    // One result per action object, shown in the Event History view
+    const result = { action: actionName(action), ok: true };
+    args.results.push(result);
+    try {
+      if (!(await conditionMatches(getProperty(action, "when"), uri, args))) {
+        result.skipped = true;
+        continue;
+      }
+      const failure = await runAction(uri, action, statusBarItems, args);
+      if (failure) { result.ok = false; result.error = failure; }
+    } catch (e) {
+      result.ok = false;
+      result.error = e.message;
+      errorMessage(`notify-on-file ${result.action} error: ${e.message}`);
+    }
+  }
+  return args.results;
+}
+
+// Names of the supported action types, in the order runAction checks them
+const actionTypes = ["showStatusBarItem", "removeStatusBarItem", "notify", "autoSave", "revert", "runCommand", "diff", "log", "http", "exec"];
+
+/** Returns the action type of an action object, e.g. "notify". */
+function actionName(action) {
+  return dblQuest(actionTypes.find(type => getProperty(action, type)), "unknown");
+}
+
+/**
+ * Executes a single action object. Errors are thrown to actions().
+ * Returns a failure description for failures that should not show an error
+ * popup (e.g. an exec action with a non-zero exit code), otherwise undefined.
+ */
+async function runAction(uri, action, statusBarItems, args) {
+  // ── showStatusBarItem ──────────────────────────────────────────────────────
+  // Creates or updates a status bar item at the bottom of the VS Code window.
+  // The value of showStatusBarItem is the item's unique ID.
+  // text and tooltip can contain variables, ${count} is the item's counter.
+  let showStatusBarItem = getProperty(action, "showStatusBarItem");
+  if (showStatusBarItem) {
+    const alignment = getProperty(action, "alignment");
+    let statusBarItem = getStatusBarItem(showStatusBarItem, statusBarItems,
+      alignment === undefined ? undefined : (alignment === "right" ? vscode.StatusBarAlignment.Right : vscode.StatusBarAlignment.Left),
+      getProperty(action, "priority"));
+    args.count = updateStatusBarCounter(showStatusBarItem, getProperty(action, "counter"));
+    let backgroundColor = getProperty(action, "backgroundColor");
+    if (backgroundColor) { statusBarItem.backgroundColor = new vscode.ThemeColor(backgroundColor); }
+    let color = getProperty(action, "color");
+    if (color) { statusBarItem.color = new vscode.ThemeColor(color); }
+    let name = getProperty(action, "name");
+    if (name) { statusBarItem.name = name; }
+    let text = getProperty(action, "text");
+    if (text) { statusBarItem.text = await variableSubstitution(text, args, uri); }
+    let tooltip = getProperty(action, "tooltip");
+    if (tooltip) { statusBarItem.tooltip = await variableSubstitution(tooltip, args, uri); }
+    // The command runs when the item is clicked; its args are substituted now
+    let command = getProperty(action, "command");
+    if (command) {
+      statusBarItem.command = { title: command, command, arguments: await commandArguments(action, args, uri) };
+    }
+    statusBarItem.show();
+    // timeoutMs removes the item automatically; every show restarts the timer
+    let timeoutMs = getProperty(action, "timeoutMs", 0);
+    if (statusBarTimers[showStatusBarItem]) { clearTimeout(statusBarTimers[showStatusBarItem]); }
+    delete statusBarTimers[showStatusBarItem];
+    if (timeoutMs > 0) {
+      statusBarTimers[showStatusBarItem] = setTimeout(() => {
+        removeStatusBarItemById(showStatusBarItem, statusBarItems);
+      }, timeoutMs);
+    }
+  }
+
+  // ── removeStatusBarItem ───────────────────────────────────────────────────
+  // Hides and permanently destroys a status bar item by ID.
+  let removeStatusBarItem = getProperty(action, "removeStatusBarItem");
+  if (removeStatusBarItem) {
+    removeStatusBarItemById(removeStatusBarItem, statusBarItems);
+  }
+
+  // ── notify ────────────────────────────────────────────────────────────────
+  // Shows a popup notification in the bottom-right corner of VS Code.
+  // The notification text supports ${variable} substitution (e.g. ${relativeFile}).
+  // Without "buttons" an "Open" button is shown; clicking it opens the changed file in the editor.
+  // With "wait": false the next actions run while the notification is still open.
+  let notify = getProperty(action, "notify");
+  if (notify) {
+    // Resolve ${...} variables in the notification text
+    const message = await variableSubstitution(notify, args, uri);
+    const severity = getProperty(action, "severity", "info");
+    const options = { modal: severity === "modal" };
+    const detail = getProperty(action, "detail");
+    if (detail) { options.detail = await variableSubstitution(detail, args, uri); }
+    let buttons = getProperty(action, "buttons");
+    if (!isArray(buttons)) {
+      buttons = [{ label: getProperty(action, "openLabel") || "Open", action: "open" }];
+    }
+    const labels = [];
+    for (const button of buttons) { labels.push(await variableSubstitution(getProperty(button, "label", ""), args, uri)); }
+    const showMessage = severity === "warning" ? vscode.window.showWarningMessage
+                      : severity === "error"   ? vscode.window.showErrorMessage
+                      : vscode.window.showInformationMessage;
+    // showXxxMessage resolves with the label of the button the user clicked,
+    // or undefined if the notification was dismissed.
+    const clicked = showMessage(message, options, ...labels)
+      .then(selected => notifyButton(buttons[labels.indexOf(selected)], uri, statusBarItems, args));
+    if (getProperty(action, "wait", true)) {
+      await clicked;
+    } else {
+      clicked.catch(e => errorMessage(`notify-on-file notify error: ${e.message}`));
+    }
+  }
+
+  // ── autoSave ──────────────────────────────────────────────────────────────
+  // Saves the changed file through VS Code so it gets recorded in Local History.
+  // Without this, files modified by external programs (Far Manager, Obsidian, etc.)
+  // would not appear in the Local History timeline.
+  let autoSave = getProperty(action, "autoSave");
+  if (autoSave) {
+    const failure = await runAutoSave(uri, action);
+    if (failure) {
+      getOutputChannel().appendLine(`[autoSave] ${uri.fsPath} ${failure}`);
+      return failure;
+    }
+  }
+
+  // ── revert ────────────────────────────────────────────────────────────────
+  // Reloads an open editor from disk, dropping its unsaved edits.
+  let revert = getProperty(action, "revert");
+  if (revert) {
+    await revertDocument(uri);
+  }
+
+  // ── runCommand ────────────────────────────────────────────────────────────
+  // Executes a VS Code command. "args" is an array of arguments (a non-array
+  // value is passed as the single argument); all strings in it are substituted.
+  let runCommand = getProperty(action, "runCommand");
+  if (runCommand) {
+    await vscode.commands.executeCommand(runCommand, ...(await commandArguments(action, args, uri)));
+  }
+
+  // ── diff ──────────────────────────────────────────────────────────────────
+  // Opens the diff editor: the previous snapshot of the file against its new contents.
+  let diff = getProperty(action, "diff");
+  if (diff) {
+    await openSnapshotDiff(uri, args.snapshots);
+  }
+
+  // ── log ───────────────────────────────────────────────────────────────────
+  // Appends a line to a log file, with rotation by size or date.
+  let log = getProperty(action, "log");
+  if (log) {
+    await runLog(log, action, args, uri);
+  }
+
+  // ── http ──────────────────────────────────────────────────────────────────
+  // Sends an HTTP request, e.g. to a local dashboard. The status is stored for
+  // ${httpStatus}; failures go to the output channel instead of an error popup.
+  let httpUrl = getProperty(action, "http");
+  if (httpUrl) {
+    const response = await runHttp(httpUrl, action, args, uri);
+    args.httpStatus = response.status;
+    if (response.error) { return response.error; }
+  }
+
+  // ── exec ──────────────────────────────────────────────────────────────────
+  // Runs a shell command and waits for it to finish. The exit code is stored
+  // so later actions in the same list can use ${exitCode}.
+  let exec = getProperty(action, "exec");
+  if (exec) {
+    args.exitCode = await runExec(exec, action, args, uri);
+    if (args.exitCode !== 0) { return `exit code ${args.exitCode}`; }
+  }
+}
+
+/**
+ * Handles the click on a notification button (undefined if the notification was dismissed).
+ * A button can have a "command" with "args", a built-in "action" (open, reveal, diff,
+ * restore, delete) and/or a list of "actions" that runs with the same uri and args.
+ */
+async function notifyButton(button, uri, statusBarItems, args) {
+  if (!button) { return; }
+  let command = getProperty(button, "command");
+  if (command) {
+    await vscode.commands.executeCommand(command, ...(await commandArguments(button, args, uri)));
+  }
+  switch (getProperty(button, "action")) {
+    case "open":
+      await vscode.window.showTextDocument(await vscode.workspace.openTextDocument(uri));
+      break;
+    case "reveal":
+      await vscode.commands.executeCommand('revealInExplorer', uri);
+      break;
+    case "diff":
+      await openSnapshotDiff(uri, args.snapshots);
+      break;
+    case "restore":
+      await restoreDeletedFile(uri);
+      break;
+    case "delete":
+      await vscode.workspace.fs.delete(uri, { useTrash: true });
+      break;
+  }
+  let buttonActions = getProperty(button, "actions");
+  if (isArray(buttonActions)) {
+    await actions(uri, buttonActions, statusBarItems, args);
+    refreshHistory();
+  }
+}
+
+// ── Event history ──────────────────────────────────────────────────────────────
+//
+// A bounded, in-memory list of recent events, shown in the "Event History" view
+// of the Notify On File activity bar container. Grouped by watcher, then by file.
+
+// History entries, newest first. Each entry:
+//   { id, watcherName, uri, eventType, saveOrigin, eventCount, oldUri, line, time, results, suppressed, snapshot }
+let history = [];
+let historyNextId = 1;
+
+// Settings read by updateConfiguration
+let historySize = 200;
+let historySnapshotMaxSize = 0;
+
+// URI scheme of the read-only documents that show history snapshots in the diff editor
+const snapshotScheme = 'notify-on-file-snapshot';
+
+const historyChanged = new vscode.EventEmitter();
+
+/**
+ * Reads the contents of a text file as a string.
+ * Returns undefined if the file is missing, larger than maxSize or looks binary
+ * (contains a NUL byte in the first 8 KB).
+ */
+async function readTextFile(uri, maxSize) {
+  try {
+    const stat = await vscode.workspace.fs.stat(uri);
+    if (stat.size > maxSize) { return undefined; }
+    const bytes = await vscode.workspace.fs.readFile(uri);
+    if (bytes.subarray(0, 8192).indexOf(0) >= 0) { return undefined; }
+    return Buffer.from(bytes).toString('utf8');
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/**
+ * Adds an entry to the history and returns it. The caller fills entry.results
+ * while the actions run and calls refreshHistory() when they are done.
+ * For create/change events the file contents are stored as snapshot for the diff command.
+ */
+function addHistoryEntry(uri, args) {
+  if (historySize <= 0) { return { results: [] }; }
+  const entry = {
+    id: historyNextId++,
+    watcherName: args.watcherName,
+    uri,
+    eventType: args.eventType,
+    saveOrigin: args.saveOrigin,
+    eventCount: dblQuest(args.eventCount, 1),
+    oldUri: args.oldUri,
+    line: args.line,
+    time: new Date(),
+    results: [],
+    suppressed: false,
+    snapshot: undefined
+  };
+  history.unshift(entry);
+  history.splice(historySize);
+  if (historySnapshotMaxSize > 0 && entry.eventType !== 'delete') {
+    readTextFile(uri, historySnapshotMaxSize).then(content => { entry.snapshot = content; });
+  }
+  refreshHistory();
+  return entry;
+}
+
+function refreshHistory() { historyChanged.fire(); }
+
+function clearHistory() {
+  history = [];
+  refreshHistory();
+}
+
+// Icons for the event kinds in the tree view
+const eventTypeIcons = { create: 'add', change: 'edit', delete: 'trash', rename: 'arrow-right' };
+
+/**
+ * TreeDataProvider of the Event History view.
+ * Nodes: { kind: 'watcher', watcherName } → { kind: 'file', watcherName, fsPath } → { kind: 'event', entry }
+ */
+const historyTreeDataProvider = {
+  onDidChangeTreeData: historyChanged.event,
+
+  getChildren(node) {
+    if (!node) {
+      const names = [];
+      for (const entry of history) {
+        if (names.indexOf(entry.watcherName) < 0) { names.push(entry.watcherName); }
+      }
+      return names.map(watcherName => ({ kind: 'watcher', watcherName }));
+    }
+    if (node.kind === 'watcher') {
+      const fsPaths = [];
+      for (const entry of history) {
+        if (entry.watcherName !== node.watcherName) { continue; }
+        if (fsPaths.indexOf(entry.uri.fsPath) < 0) { fsPaths.push(entry.uri.fsPath); }
+      }
+      return fsPaths.map(fsPath => ({ kind: 'file', watcherName: node.watcherName, fsPath }));
+    }
+    if (node.kind === 'file') {
+      return history
+        .filter(entry => entry.watcherName === node.watcherName && entry.uri.fsPath === node.fsPath)
+        .map(entry => ({ kind: 'event', entry }));
+    }
+    return [];
+  },
+
+  getTreeItem(node) {
+    const Collapsed = vscode.TreeItemCollapsibleState.Collapsed;
+    if (node.kind === 'watcher') {
+      const item = new vscode.TreeItem(node.watcherName, vscode.TreeItemCollapsibleState.Expanded);
+      item.iconPath = new vscode.ThemeIcon('eye');
+      item.contextValue = 'watcher';
+      return item;
+    }
+    if (node.kind === 'file') {
+      const uri = vscode.Uri.file(node.fsPath);
+      const item = new vscode.TreeItem(uri, Collapsed);
+      item.description = vscode.workspace.asRelativePath(uri, false);
+      item.contextValue = 'file';
+      return item;
+    }
+    const entry = node.entry;
+    const failed = entry.results.filter(result => !result.ok);
+    const item = new vscode.TreeItem(`${entry.eventType} ${entry.time.toLocaleTimeString()}`);
+    // Only a change is a save, by VS Code or another program
+    const parts = entry.eventType === 'change' ? [entry.saveOrigin === 'vscode' ? 'VS Code save' : 'external save'] : [];
+    if (entry.eventCount > 1) { parts.push(`${entry.eventCount} events`); }
+    if (entry.suppressed) { parts.push('suppressed'); }
+    else if (failed.length > 0) { parts.push(`${failed.length} failed`); }
+    const description = parts.join(' · ');
+    item.description = description;
+    const tooltip = [`${entry.eventType} ${entry.uri.fsPath}`, entry.time.toLocaleString(), description];
+    if (entry.oldUri) { tooltip.splice(1, 0, `from ${entry.oldUri.fsPath}`); }
+    if (entry.line !== undefined) { tooltip.splice(1, 0, entry.line); }
+    for (const result of entry.results) {
+      if (result.skipped) { tooltip.push(`– ${result.action} (skipped)`); }
+      else { tooltip.push(result.ok ? `✓ ${result.action}` : `✗ ${result.action}: ${result.error}`); }
+    }
+    item.tooltip = tooltip.join('\n');
+    item.iconPath = new vscode.ThemeIcon(failed.length > 0 ? 'warning' : dblQuest(eventTypeIcons[entry.eventType], 'circle-outline'));
+    item.contextValue = entry.eventType === 'delete' ? 'event-delete' : 'event';
+    return item;
+  }
+};
+
+/** Returns the history entry of a tree node (the newest entry for a file node). */
+function historyEntryOf(node) {
+  if (!node) { return undefined; }
+  if (node.kind === 'event') { return node.entry; }
+  if (node.kind === 'file') {
+    return history.find(entry => entry.watcherName === node.watcherName && entry.uri.fsPath === node.fsPath);
+  }
+  return undefined;
+}
+
+/** Opens a file given by its file system path, e.g. from a status bar item command. */
+async function openFile(fsPath) {
+  if (!fsPath) { return; }
+  try {
+    await vscode.window.showTextDocument(vscode.Uri.file(fsPath));
+  } catch (e) {
+    errorMessage(`notify-on-file: can't open ${fsPath}: ${e.message}`);
+  }
+}
+
+/** Opens the file of a history node in the editor. */
+async function historyOpenFile(node) {
+  const entry = historyEntryOf(node);
+  if (!entry) { return; }
+  try {
+    await vscode.window.showTextDocument(entry.uri);
+  } catch (e) {
+    errorMessage(`notify-on-file: can't open ${entry.uri.fsPath}: ${e.message}`);
+  }
+}
+
+/** Returns the URI of the read-only document that shows the snapshot of a history entry. */
+function snapshotUri(entry) {
+  return vscode.Uri.from({ scheme: snapshotScheme, path: entry.uri.path, query: `id=${entry.id}` });
+}
+
+/**
+ * Sets the context key that shows "Open Diff with Previous Snapshot" in the history
+ * view: there are history snapshots, or a watcher keeps snapshots.
+ */
+function updateSnapshotContext() {
+  const snapshots = historySnapshotMaxSize > 0 || watchers.some(w => w.snapshots);
+  vscode.commands.executeCommand('setContext', 'notify-on-file.snapshots', snapshots);
+}
+
+/**
+ * Opens the diff editor: snapshot of the previous event of the same file
+ * (any watcher) on the left, snapshot of this event on the right.
+ * Without history snapshots the snapshot store of the event's watcher is used.
+ */
+async function historyOpenDiff(node) {
+  const entry = historyEntryOf(node);
+  if (!entry) { return; }
+  const watcher = watchers.find(w => w.name === entry.watcherName && w.snapshots);
+  if (entry.snapshot === undefined && watcher) {
+    await openSnapshotDiff(entry.uri, watcher.snapshots);
+    return;
+  }
+  if (entry.snapshot === undefined) {
+    vscode.window.showInformationMessage(`No snapshot for ${entry.eventType} event of ${path.basename(entry.uri.fsPath)}`);
+    return;
+  }
+  const index = history.indexOf(entry);
+  const previous = history.slice(index + 1).find(e => e.uri.fsPath === entry.uri.fsPath && e.snapshot !== undefined);
+  if (!previous) {
+    vscode.window.showInformationMessage(`No previous snapshot of ${path.basename(entry.uri.fsPath)}`);
+    return;
+  }
+  const title = `${path.basename(entry.uri.fsPath)} (${previous.time.toLocaleTimeString()} ↔ ${entry.time.toLocaleTimeString()})`;
+  await vscode.commands.executeCommand('vscode.diff', snapshotUri(previous), snapshotUri(entry), title);
+}
+
+/** Opens the diff of the newest history event of a file, e.g. from a notification button. */
+async function historyOpenDiffForUri(uri) {
+  const entry = history.find(e => e.uri.fsPath === uri.fsPath);
+  if (!entry) {
+    vscode.window.showInformationMessage(`No history for ${path.basename(uri.fsPath)}`);
+    return;
+  }
+  await historyOpenDiff({ kind: 'event', entry });
+}
+
+// Contents shown by snapshotDocumentUri documents, keyed by their "doc" query value.
+// Only the newest snapshotDocumentsMax documents are kept.
+let snapshotDocuments = new Map();
+let snapshotDocumentsNextId = 1;
+const snapshotDocumentsMax = 50;
+
+/** Returns the URI of a read-only document with the given contents, named after uri. */
+function snapshotDocumentUri(uri, content) {
+  const doc = String(snapshotDocumentsNextId++);
+  snapshotDocuments.set(doc, content);
+  while (snapshotDocuments.size > snapshotDocumentsMax) { snapshotDocuments.delete(snapshotDocuments.keys().next().value); }
+  return vscode.Uri.from({ scheme: snapshotScheme, path: uri.path, query: `doc=${doc}` });
+}
+
+// Provides the contents of snapshotScheme documents:
+//   notify-on-file-snapshot:/path?id=<history entry id>
+//   notify-on-file-snapshot:/path?doc=<snapshotDocuments key>
+const snapshotContentProvider = {
+  provideTextDocumentContent(uri) {
+    const params = new URLSearchParams(uri.query);
+    if (params.has('doc')) { return dblQuest(snapshotDocuments.get(params.get('doc')), ''); }
+    const id = Number(params.get('id'));
+    const entry = history.find(e => e.id === id);
+    return entry && entry.snapshot !== undefined ? entry.snapshot : '';
+  }
+};
+
+// ── Snapshot store ─────────────────────────────────────────────────────────────
+//
+// Watchers with the "snapshots" option keep the last known contents of their
+// text files, so a change can be shown as a diff and a deleted file restored.
+
+/**
+ * Creates the snapshot store of a watcher.
+ * options: true, or { maxFileSize, maxFiles, maxTotalSize }. When more than maxFiles
+ * files or more than maxTotalSize bytes (current and previous contents) are stored,
+ * the least recently updated files are dropped.
+ */
+function createSnapshotStore(options) {
+  options = options && isObject(options) ? options : {};
+  const maxFileSize = getProperty(options, "maxFileSize", 1048576);
+  const maxFiles = getProperty(options, "maxFiles", 200);
+  const maxTotalSize = getProperty(options, "maxTotalSize", 16777216);
+  // fsPath → { content, previous, deleted, size }; Map keeps insertion order, oldest first
+  const files = new Map();
+  let totalSize = 0;
+  const remove = fsPath => {
+    if (files.has(fsPath)) { totalSize -= files.get(fsPath).size; }
+    files.delete(fsPath);
+  };
+  const store = (fsPath, snapshot) => {
+    remove(fsPath);
+    snapshot.size = Buffer.byteLength(dblQuest(snapshot.content, '')) + Buffer.byteLength(dblQuest(snapshot.previous, ''));
+    files.set(fsPath, snapshot);
+    totalSize += snapshot.size;
+    while (files.size > maxFiles || (totalSize > maxTotalSize && files.size > 1)) { remove(files.keys().next().value); }
+  };
+  return {
+    maxFiles,
+    /** Reads the given files that are not in the store yet, until the store is full. */
+    async seed(uris) {
+      for (const uri of uris.slice(0, maxFiles)) {
+        if (files.has(uri.fsPath)) { continue; }
+        if (totalSize >= maxTotalSize) { break; }
+        const content = await readTextFile(uri, Math.min(maxFileSize, maxTotalSize - totalSize));
+        if (content !== undefined && !files.has(uri.fsPath)) {
+          store(uri.fsPath, { content, previous: undefined, deleted: false });
+        }
+      }
+    },
+    /** Updates the snapshot for a file event. A deleted file keeps its last contents. */
+    async update(uri, eventType) {
+      const snapshot = dblQuest(files.get(uri.fsPath), { content: undefined, previous: undefined, deleted: false });
+      if (eventType === 'delete') {
+        snapshot.deleted = true;
+      } else {
+        const content = await readTextFile(uri, maxFileSize);
+        snapshot.previous = snapshot.content;
+        snapshot.content = content;
+        snapshot.deleted = false;
+      }
+      store(uri.fsPath, snapshot);
+    },
+    get(uri) { return files.get(uri.fsPath); },
+    /** Returns the fsPaths of the deleted files whose contents are known. */
+    deletedFiles() {
+      return Array.from(files.keys()).filter(fsPath => files.get(fsPath).deleted && files.get(fsPath).content !== undefined);
+    }
+  };
+}
+
+/**
+ * Opens the diff editor with the previous snapshot of a file on the left and the
+ * file on the right. For a deleted file its last contents are shown.
+ * Without a snapshot store the diff of the last history event is used.
+ */
+async function openSnapshotDiff(uri, snapshots) {
+  if (!snapshots) { return await historyOpenDiffForUri(uri); }
+  const basename = path.basename(uri.fsPath);
+  const snapshot = snapshots.get(uri);
+  if (snapshot && snapshot.deleted && snapshot.content !== undefined) {
+    await vscode.window.showTextDocument(snapshotDocumentUri(uri, snapshot.content), { preview: true });
+    return;
+  }
+  if (!snapshot || snapshot.previous === undefined) {
+    vscode.window.showInformationMessage(`No previous snapshot of ${basename}`);
+    return;
+  }
+  await vscode.commands.executeCommand('vscode.diff', snapshotDocumentUri(uri, snapshot.previous), uri, `${basename} (snapshot ↔ now)`);
+}
+
+/**
+ * Finds the last known contents of a file: from the snapshot stores of the
+ * watchers, otherwise from the history snapshots. Returns undefined if unknown.
+ */
+function lastKnownContent(fsPath) {
+  for (const w of watchers) {
+    const snapshot = w.snapshots && w.snapshots.get({ fsPath });
+    if (snapshot && snapshot.content !== undefined) { return snapshot.content; }
+  }
+  const entry = history.find(e => e.uri.fsPath === fsPath && e.snapshot !== undefined);
+  return entry ? entry.snapshot : undefined;
+}
+
+/**
+ * Writes the last known contents of a deleted file back to disk and opens it.
+ * target is a Uri, a history tree node, or undefined to pick one of the deleted
+ * files known by the snapshot stores.
+ */
+async function restoreDeletedFile(target) {
+  let fsPath = undefined;
+  if (target instanceof vscode.Uri) { fsPath = target.fsPath; }
+  else if (historyEntryOf(target)) { fsPath = historyEntryOf(target).uri.fsPath; }
+  else {
+    const deleted = new Set();
+    for (const w of watchers) {
+      if (w.snapshots) { w.snapshots.deletedFiles().forEach(f => deleted.add(f)); }
+    }
+    if (deleted.size === 0) {
+      vscode.window.showInformationMessage('Notify On File: no deleted files with a snapshot');
+      return;
+    }
+    const items = Array.from(deleted).map(f => ({ label: path.basename(f), description: f, fsPath: f }));
+    const picked = await vscode.window.showQuickPick(items, { placeHolder: 'Deleted file to restore' });
+    if (!picked) { return; }
+    fsPath = picked.fsPath;
+  }
+  const content = lastKnownContent(fsPath);
+  if (content === undefined) {
+    vscode.window.showInformationMessage(`No snapshot of ${path.basename(fsPath)}`);
+    return;
+  }
+  const uri = vscode.Uri.file(fsPath);
+  let exists = true;
+  try { await vscode.workspace.fs.stat(uri); } catch (e) { exists = false; }
+  if (exists) {
+    const overwrite = 'Overwrite';
+    const answer = await vscode.window.showWarningMessage(`${path.basename(fsPath)} exists. Overwrite it with the snapshot?`, { modal: true }, overwrite);
+    if (answer !== overwrite) { return; }
+  }
+  await vscode.workspace.fs.writeFile(uri, Buffer.from(content, 'utf8'));
+  await vscode.window.showTextDocument(uri);
+}
+
+// ── Event rate limiting ────────────────────────────────────────────────────────
+
+/**
+ * Creates the event handler of one watcher. Every raw file event is passed to
+ * handler(uri, actionList, args) and, depending on the watcher config, the
+ * action list is run directly, debounced, throttled or once per batch.
+ *
+ *   debounceMs : run only after no event arrived for this file for debounceMs
+ *   throttleMs : run at most once per throttleMs for this file, drop the rest
+ *   batch      : collect all events of batchMs and run the action list once
+ *   maxEvents  : run the action list at most maxEvents times per maxEventsMs;
+ *                the suppressed runs are reported in one stormMessage
+ *
+ * If more than one mode is set, batch wins over debounceMs, which wins over throttleMs.
+ * matches(uri, args) is the watcher's when condition. It is checked when an event is
+ * due: after its debounce, for the events the throttle lets through, and once per file
+ * of a batch, so a burst of events reads a file for contentMatches only once.
+ * handler.dispose() cancels everything that is still pending.
+ */
+function createEventHandler(watcherConfig, matches) {
+  matches = dblQuest(matches, async () => true);
+  const debounceMs   = getProperty(watcherConfig, "debounceMs", 0);
+  const throttleMs   = getProperty(watcherConfig, "throttleMs", 0);
+  const batch        = getProperty(watcherConfig, "batch", false);
+  const batchMs      = getProperty(watcherConfig, "batchMs", 1000);
+  const maxEvents    = getProperty(watcherConfig, "maxEvents", 0);
+  const maxEventsMs  = getProperty(watcherConfig, "maxEventsMs", 1000);
+  const stormMessage = getProperty(watcherConfig, "stormMessage", "Notify On File: ${eventCount} file events");
+
+  // All pending timers, so dispose() can cancel them
+  const timers = new Set();
+  const later = (ms, callback) => {
+    const timer = setTimeout(() => { timers.delete(timer); callback(); }, ms);
+    timers.add(timer);
+    return timer;
+  };
+  const cancel = timer => { clearTimeout(timer); timers.delete(timer); };
+
+  // Storm cap: counts the action list runs of the current maxEventsMs window, and the
+  // events of the runs it suppressed
+  let windowTimer = undefined;
+  let windowRuns = 0;
+  let windowSuppressedEvents = 0;
+  const run = async (uri, actionList, args) => {
+    const entry = addHistoryEntry(uri, args);
+    if (maxEvents > 0) {
+      if (!windowTimer) {
+        windowTimer = later(maxEventsMs, async () => {
+          const suppressed = windowRuns > maxEvents;
+          const eventCount = windowSuppressedEvents;
+          windowTimer = undefined;
+          windowRuns = 0;
+          windowSuppressedEvents = 0;
+          if (suppressed) {
+            vscode.window.showInformationMessage(await variableSubstitution(stormMessage, { eventCount }));
+          }
+        });
+      }
+      windowRuns += 1;
+      if (windowRuns > maxEvents) {
+        windowSuppressedEvents += dblQuest(args.eventCount, 1);
+        entry.suppressed = true;
+        return;
+      }
+    }
+    args.results = entry.results;
+    await actions(uri, actionList, statusBarItems, args);
+    refreshHistory();
+  };
+
+  // Per event type (the action list) and file: pending debounce timers and last throttled run
+  const debounced = new Map();
+  const throttled = new Map();
+  const eventKey = (uri, args) => `${args.eventType}:${uri.fsPath}`;
+
+  // Per event type: the events collected for the current batch
+  const batches = new Map();
+
+  const handler = async (uri, actionList, args) => {
+    if (batch) {
+      let pending = batches.get(actionList);
+      if (!pending) {
+        pending = { events: [] };
+        batches.set(actionList, pending);
+        later(batchMs, async () => {
+          batches.delete(actionList);
+          // The condition is checked once per file, with the values of its last event
+          const lastEvents = new Map(pending.events.map(event => [event.uri.fsPath, event]));
+          const matching = new Set();
+          for (const event of lastEvents.values()) {
+            if (await matches(event.uri, event.args)) { matching.add(event.uri.fsPath); }
+          }
+          const events = pending.events.filter(event => matching.has(event.uri.fsPath));
+          if (events.length === 0) { return; }
+          const last = events[events.length - 1];
+          const files = new Set(events.map(event => vscode.workspace.asRelativePath(event.uri, false)));
+          const batchArgs = Object.assign({}, last.args, {
+            eventCount: events.length,
+            fileList: Array.from(files).join(', ')
+          });
+          run(last.uri, actionList, batchArgs);
+        });
+      }
+      pending.events.push({ uri, args });
+      return;
+    }
+    const key = eventKey(uri, args);
+    if (debounceMs > 0) {
+      const timer = debounced.get(key);
+      if (timer) { cancel(timer); }
+      debounced.set(key, later(debounceMs, async () => {
+        debounced.delete(key);
+        if (await matches(uri, args)) { run(uri, actionList, args); }
+      }));
+      return;
+    }
+    if (throttleMs > 0) {
+      const now = Date.now();
+      const last = throttled.get(key);
+      if (last !== undefined && now - last < throttleMs) { return; }
+      throttled.set(key, now);
+      if (!(await matches(uri, args))) {
+        // An event that doesn't match does not use up the throttle time
+        if (throttled.get(key) === now) {
+          if (last === undefined) { throttled.delete(key); } else { throttled.set(key, last); }
+        }
+        return;
+      }
+      return run(uri, actionList, args);
+    }
+    if (await matches(uri, args)) { run(uri, actionList, args); }
+  };
+  handler.dispose = () => {
+    for (const timer of timers) { clearTimeout(timer); }
+    timers.clear();
+    debounced.clear();
+    throttled.clear();
+    batches.clear();
+  };
+  return handler;
+}
+
+// ── Global state ───────────────────────────────────────────────────────────────
+
+// Cache of active status bar items, keyed by their ID string.
+let statusBarItems = {};
+
+// List of active watchers. Each entry:
+//   { id, name, description, folder, fileWatchers: FileSystemWatcher[], events: Disposable[], handler, eventCount, snapshots, renames }
+// Stored so we can dispose them all when the configuration changes.
+let watchers = [];
+
+// Set of file system paths recently saved by VS Code itself.
+// Used to distinguish VS Code saves from external program saves.
+//
+// How it works:
+//   1. onDidSaveTextDocument fires (VS Code save) → path is added here
+//   2. FileSystemWatcher.onChange fires shortly after → we check if path is in this Set
+//      - YES → saved by VS Code
+//      - NO  → saved by external program (Far Manager, Obsidian, etc.)
+//   3. After 500ms the path is removed (cleanup – it's no longer needed)
+//
+// The 500ms window is a safety margin: the onChange event always arrives
+// well within that time after onDidSaveTextDocument.
+let recentlySavedByVSCode = new Set();
+
+// The ExtensionContext passed to activate, for the scans of the poll backend in workspaceState
+let extensionContext = undefined;
+
+// ── Glob matching ──────────────────────────────────────────────────────────────
+
+/**
+ * Returns true if uri matches a glob pattern (string or RelativePattern).
+ * The API has no glob matcher, but languages.match compares the uri of a document
+ * with the pattern of a DocumentFilter using VS Code's own glob engine, so the
+ * patterns behave like the ones in files.exclude and search.exclude. Only the uri
+ * and languageId of the document are used, so a plain object stands in for it.
+ */
+function globMatches(pattern, uri) {
+  return vscode.languages.match({ pattern }, { uri, languageId: '' }) > 0;
+}
+
+/**
+ * Converts the lines of a .gitignore file to rules { glob, negated } with glob patterns
+ * relative to the folder of the .gitignore. Like in git the last matching rule decides,
+ * but unlike git a negated rule ("!...") also brings back a file in an ignored directory.
+ */
+function gitignoreToRules(text) {
+  const rules = [];
+  for (let line of text.split(/\r?\n/)) {
+    line = line.trim();
+    if (!line || line.startsWith('#')) { continue; }
+    const negated = line.startsWith('!');
+    if (negated) { line = line.substring(1); }
+    const dirOnly = line.endsWith('/');
+    if (dirOnly) { line = line.substring(0, line.length - 1); }
+    // A slash at the start or in the middle anchors the pattern to the .gitignore folder,
+    // otherwise it matches at any depth.
+    const anchored = line.indexOf('/') >= 0;
+    if (line.startsWith('/')) { line = line.substring(1); }
+    const glob = anchored ? line : `**/${line}`;
+    rules.push({ glob: `${glob}/**`, negated });
+    if (!dirOnly) { rules.push({ glob, negated }); }
+  }
+  return rules;
+}
+
+/** Reads the .gitignore in the root of a workspace folder; [] if there is none. */
+async function readGitignoreRules(workspaceFolder) {
+  try {
+    const bytes = await vscode.workspace.fs.readFile(vscode.Uri.joinPath(workspaceFolder.uri, '.gitignore'));
+    return gitignoreToRules(Buffer.from(bytes).toString('utf8'));
+  } catch (e) {
+    return [];
+  }
+}
+
+// ── Rename detection ───────────────────────────────────────────────────────────
+//
+// A rename or move reaches a FileSystemWatcher as a delete followed by a create.
+// Watchers with onRename hold both events for renameWindowMs and pair them when:
+//   - VS Code announced the rename (workspace.onWillRenameFiles/onDidRenameFiles), or
+//   - the size and content hash of the created file equal those of the deleted file.
+// A changed file is fingerprinted again when it has not changed for fingerprintDelayMs;
+// if it is deleted before that, only a rename announced by VS Code is recognized.
+
+// Files larger than this are fingerprinted by size only
+const fingerprintMaxSize = 1024 * 1024;
+// Maximum number of files in the fingerprint index of a watcher
+const fingerprintIndexMax = 1000;
+// Time in milliseconds without changes before a changed file is fingerprinted again
+const fingerprintDelayMs = 1000;
+
+// Renames announced by VS Code: [{ oldPath, newPath, time }], kept for a few seconds.
+// A folder rename also covers the files inside it.
+let expectedRenames = [];
+
+/** Called by onWillRenameFiles/onDidRenameFiles with the renamed files. */
+function addExpectedRenames(files) {
+  const now = Date.now();
+  expectedRenames = expectedRenames.filter(r => now - r.time < 5000);
+  for (const file of files) {
+    expectedRenames.push({ oldPath: file.oldUri.fsPath, newPath: file.newUri.fsPath, time: now });
+  }
+}
+
+/** Returns true if VS Code announced that oldPath was renamed to newPath. */
+function isExpectedRename(oldPath, newPath) {
+  return expectedRenames.some(r => {
+    if (r.oldPath === oldPath) { return r.newPath === newPath; }
+    // A file inside a renamed folder
+    if (oldPath.startsWith(r.oldPath + path.sep)) {
+      return newPath === r.newPath + oldPath.substring(r.oldPath.length);
+    }
+    return false;
+  });
+}
+
+/** Returns { size, hash } of a file, or undefined if it can't be read or is a folder. */
+async function fileFingerprint(uri) {
+  try {
+    const stat = await vscode.workspace.fs.stat(uri);
+    if (stat.type & vscode.FileType.Directory) { return undefined; }
+    let hash = undefined;
+    if (stat.size <= fingerprintMaxSize) {
+      hash = crypto.createHash('sha1').update(await vscode.workspace.fs.readFile(uri)).digest('hex');
+    }
+    return { size: stat.size, hash };
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/**
+ * Creates the rename detector of a watcher.
+ * callbacks: { deleted(uri, args), created(uri, args), renamed(oldUri, newUri, args) }
+ * are called for the events that were not paired, and for the pairs.
+ */
+function createRenameDetector(windowMs, callbacks) {
+  // fsPath → fingerprint of the files seen by the watcher, to recognize them after a delete
+  const fingerprints = new Map();
+  const remember = (uri, fingerprint) => {
+    fingerprints.delete(uri.fsPath);
+    if (!fingerprint) { return; }
+    fingerprints.set(uri.fsPath, fingerprint);
+    while (fingerprints.size > fingerprintIndexMax) { fingerprints.delete(fingerprints.keys().next().value); }
+  };
+
+  // fsPath → timer of the fingerprint of a changed file
+  const changeTimers = new Map();
+  const cancelChange = fsPath => {
+    clearTimeout(changeTimers.get(fsPath));
+    changeTimers.delete(fsPath);
+  };
+
+  // Events waiting for a partner: { uri, args, fingerprint, timer }
+  let pendingDeletes = [];
+  let pendingCreates = [];
+
+  const isPair = (deleted, created) => {
+    if (isExpectedRename(deleted.uri.fsPath, created.uri.fsPath)) { return true; }
+    if (deleted.fingerprint && created.fingerprint) {
+      return deleted.fingerprint.size === created.fingerprint.size && deleted.fingerprint.hash === created.fingerprint.hash;
+    }
+    return false;
+  };
+  const pair = (deleted, created) => {
+    clearTimeout(deleted.timer);
+    clearTimeout(created.timer);
+    callbacks.renamed(deleted.uri, created.uri, created.args);
+  };
+
+  return {
+    fingerprintIndexMax,
+    /** Fingerprints the given files that are not known yet. */
+    async seed(uris) {
+      for (const uri of uris.slice(0, fingerprintIndexMax)) {
+        if (!fingerprints.has(uri.fsPath)) { remember(uri, await fileFingerprint(uri)); }
+      }
+    },
+    /** Forgets the fingerprint of a changed file and takes a new one when the changes stop. */
+    changed(uri) {
+      cancelChange(uri.fsPath);
+      fingerprints.delete(uri.fsPath);
+      const timer = setTimeout(async () => {
+        const fingerprint = await fileFingerprint(uri);
+        // Not if the file changed again or was deleted meanwhile
+        if (changeTimers.get(uri.fsPath) !== timer) { return; }
+        changeTimers.delete(uri.fsPath);
+        remember(uri, fingerprint);
+      }, fingerprintDelayMs);
+      changeTimers.set(uri.fsPath, timer);
+    },
+    delete(uri, args) {
+      cancelChange(uri.fsPath);
+      const deleted = { uri, args, fingerprint: fingerprints.get(uri.fsPath) };
+      fingerprints.delete(uri.fsPath);
+      const created = pendingCreates.find(c => isPair(deleted, c));
+      if (created) {
+        pendingCreates = pendingCreates.filter(c => c !== created);
+        return pair(deleted, created);
+      }
+      deleted.timer = setTimeout(() => {
+        pendingDeletes = pendingDeletes.filter(d => d !== deleted);
+        callbacks.deleted(uri, args);
+      }, windowMs);
+      pendingDeletes.push(deleted);
+    },
+    async create(uri, args) {
+      const created = { uri, args, fingerprint: await fileFingerprint(uri) };
+      remember(uri, created.fingerprint);
+      const deleted = pendingDeletes.find(d => isPair(d, created));
+      if (deleted) {
+        pendingDeletes = pendingDeletes.filter(d => d !== deleted);
+        return pair(deleted, created);
+      }
+      created.timer = setTimeout(() => {
+        pendingCreates = pendingCreates.filter(c => c !== created);
+        callbacks.created(uri, args);
+      }, windowMs);
+      pendingCreates.push(created);
+    },
+    dispose() {
+      for (const pending of pendingDeletes.concat(pendingCreates)) { clearTimeout(pending.timer); }
+      pendingDeletes = [];
+      pendingCreates = [];
+      for (const timer of changeTimers.values()) { clearTimeout(timer); }
+      changeTimers.clear();
+      fingerprints.clear();
+    }
+  };
+}
+
+// ── Watcher backends ───────────────────────────────────────────────────────────
+//
+// VS Code's FileSystemWatcher can miss events on network shares and outside the
+// workspace. The "backend" of a watcher selects another source of events:
+//   - "vscode": workspace.createFileSystemWatcher (default)
+//   - "fs":     a recursive Node fs.watch on the watched directory (or one per directory)
+//   - "poll":   a scan of the directory every pollIntervalMs, comparing mtime and size
+// Both other backends return an object with the interface of a FileSystemWatcher,
+// so their events run through the same pipeline.
+
+/**
+ * The exclude glob for workspace.findFiles when a watcher looks up its existing files:
+ * the watcher's exclude patterns and the files.exclude setting, and the search.exclude
+ * setting unless withSearchExclude is false.
+ * Patterns with braces can't be nested in the combined pattern; the caller filters
+ * the results with the watcher's excludes too.
+ */
+function findFilesExclude(exclude, withSearchExclude) {
+  const globs = isArray(exclude) ? exclude.filter(isString) : [];
+  for (const section of withSearchExclude === false ? ['files'] : ['files', 'search']) {
+    const settings = dblQuest(vscode.workspace.getConfiguration(section).get('exclude'), {});
+    for (const glob of Object.keys(settings)) {
+      if (settings[glob] === true) { globs.push(glob); }
+    }
+  }
+  const plain = globs.filter(glob => !/[{}]/.test(glob));
+  return plain.length > 0 ? `{${plain.join(',')}}` : undefined;
+}
+
+/** The [mtimeMs, size] of a file, or undefined if it is missing or not a file. */
+async function fileState(fsPath) {
+  const stat = await fs.promises.stat(fsPath).catch(() => undefined);
+  return stat && stat.isFile() ? [stat.mtimeMs, stat.size] : undefined;
+}
+
+/**
+ * Returns a function that tells whether a directory can hold files matched by the
+ * RelativePattern: the base, the directories of the static prefix of the glob, and
+ * below them only as deep as the glob reaches. A glob without / only reads the base,
+ * "src/a/*.js" only the base, src and src/a, and a glob with ** every directory below its prefix.
+ */
+function globDirectoryFilter(toWatch) {
+  // A / inside braces, like {src/*.js,*.md}, splits no segments: every directory is read
+  const segments = /\{[^}]*\/[^}]*\}/.test(toWatch.pattern) ? ['**'] : toWatch.pattern.split('/');
+  const prefix = [];
+  while (prefix.length < segments.length - 1 && !/[*?[{]/.test(segments[prefix.length])) { prefix.push(segments[prefix.length]); }
+  const depth = segments.some(segment => segment.includes('**')) ? Infinity : segments.length - 1;
+  return fsPath => {
+    const relative = path.relative(toWatch.base, fsPath);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) { return false; }
+    const dirs = relative ? relative.split(path.sep) : [];
+    return dirs.length <= depth && dirs.every((dir, i) => i >= prefix.length || dir === prefix[i]);
+  };
+}
+
+/**
+ * Returns the [mtimeMs, size] by fsPath of the files in dir (default: the base of the
+ * RelativePattern) and its subdirectories that are matched by the pattern. Only the
+ * directories the glob can reach are read (see globDirectoryFilter).
+ * isExcluded(uri, isDirectory) skips files and whole directories. Symbolic links to
+ * directories are not followed. A directory that can't be read is an error, unless
+ * it was deleted during the scan.
+ */
+async function scanFiles(toWatch, isExcluded, dir) {
+  const files = {};
+  const base = dblQuest(dir, toWatch.base);
+  const reaches = globDirectoryFilter(toWatch);
+  const walk = async dir => {
+    if (!reaches(dir)) { return; }
+    let entries = [];
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (e) {
+      if (e.code === 'ENOENT' && dir !== base) { return; }
+      throw e;
+    }
+    for (const entry of entries) {
+      const fsPath = path.join(dir, entry.name);
+      const uri = vscode.Uri.file(fsPath);
+      if (entry.isDirectory()) {
+        if (!isExcluded(uri, true)) { await walk(fsPath); }
+        continue;
+      }
+      if (!globMatches(toWatch, uri) || isExcluded(uri, false)) { continue; }
+      const state = await fileState(fsPath);
+      if (state) { files[fsPath] = state; }
+    }
+  };
+  await walk(base);
+  return files;
+}
+
+/** The event type that turns the file state before into after, or undefined if it is unchanged. */
+function fileStateEvent(before, after) {
+  if (!before) { return after ? 'create' : undefined; }
+  if (!after) { return 'delete'; }
+  return before[0] !== after[0] || before[1] !== after[1] ? 'change' : undefined;
+}
+
+/**
+ * Creates the FileSystemWatcher interface of a backend: the events, the ignoreXxxEvents
+ * flags, the known file states and update(fsPath, state) that fires the event for a
+ * changed state. onDispose stops the backend.
+ */
+function createBackendWatcher(ignoreCreateEvents, ignoreChangeEvents, ignoreDeleteEvents, onDispose) {
+  const emitters = { create: new vscode.EventEmitter(), change: new vscode.EventEmitter(), delete: new vscode.EventEmitter() };
+  const ignored = { create: ignoreCreateEvents, change: ignoreChangeEvents, delete: ignoreDeleteEvents };
+  const watcher = {
+    ignoreCreateEvents, ignoreChangeEvents, ignoreDeleteEvents,
+    onDidCreate: emitters.create.event,
+    onDidChange: emitters.change.event,
+    onDidDelete: emitters.delete.event,
+    files: {},  // fsPath → [mtimeMs, size]
+    disposed: false,
+    update(fsPath, state) {
+      const eventType = fileStateEvent(watcher.files[fsPath], state);
+      if (state) { watcher.files[fsPath] = state; } else { delete watcher.files[fsPath]; }
+      if (eventType && !ignored[eventType] && !watcher.disposed) { emitters[eventType].fire(vscode.Uri.file(fsPath)); }
+      return eventType;
+    },
+    dispose() {
+      watcher.disposed = true;
+      onDispose();
+      for (const emitter of Object.values(emitters)) { emitter.dispose(); }
+    }
+  };
+  return watcher;
+}
+
+/**
+ * Watches a RelativePattern with a recursive fs.watch. The known files are scanned first,
+ * so a file replaced by a rename is reported as a change, and an fs.watch event that did
+ * not change the mtime or size of a file is dropped.
+ * Where recursive fs.watch is not available (Linux with Node 18 and older, so VS Code
+ * before 1.90) every directory gets its own fs.watch.
+ */
+function createFsWatcher(toWatch, isExcluded, ignoreCreateEvents, ignoreChangeEvents, ignoreDeleteEvents) {
+  let fsWatcher = undefined;
+  const dirWatchers = new Map();  // directory → fs.watch without recursive option
+  const watcher = createBackendWatcher(ignoreCreateEvents, ignoreChangeEvents, ignoreDeleteEvents, () => {
+    if (fsWatcher) { fsWatcher.close(); }
+    for (const dirWatcher of dirWatchers.values()) { dirWatcher.close(); }
+    dirWatchers.clear();
+  });
+  const watchError = e => errorMessage(`notify-on-file fs watcher error for ${toWatch.base}: ${e.message}`);
+  const reaches = globDirectoryFilter(toWatch);
+
+  /** Watches dir and its subdirectories the glob reaches, one fs.watch per directory. */
+  const watchDirectories = async dir => {
+    if (watcher.disposed || dirWatchers.has(dir) || !reaches(dir)) { return; }
+    try {
+      const dirWatcher = fs.watch(dir, (eventType, filename) => {
+        if (filename) { changed(path.join(dir, filename.toString())).catch(watchError); }
+      });
+      dirWatcher.on('error', e => { unwatchDirectories(dir); watchError(e); });
+      dirWatchers.set(dir, dirWatcher);
+    } catch (e) {
+      return watchError(e);
+    }
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true }).catch(() => []);
+    for (const entry of entries) {
+      const subdir = path.join(dir, entry.name);
+      if (entry.isDirectory() && !isExcluded(vscode.Uri.file(subdir), true)) { await watchDirectories(subdir); }
+    }
+  };
+  const unwatchDirectories = dir => {
+    for (const [watchedDir, dirWatcher] of dirWatchers) {
+      if (watchedDir === dir || watchedDir.startsWith(dir + path.sep)) {
+        dirWatcher.close();
+        dirWatchers.delete(watchedDir);
+      }
+    }
+  };
+
+  const changed = async fsPath => {
+    const uri = vscode.Uri.file(fsPath);
+    const stat = await fs.promises.stat(fsPath).catch(() => undefined);
+    if (stat && stat.isDirectory()) {
+      if (isExcluded(uri, true)) { return; }
+      if (!fsWatcher) { await watchDirectories(fsPath); }
+      // A directory was created or moved here: its files are not reported one by one
+      const files = await scanFiles(toWatch, isExcluded, fsPath);
+      for (const filePath of Object.keys(files)) { watcher.update(filePath, files[filePath]); }
+      return;
+    }
+    if (!stat) {
+      // A deleted directory: delete the known files inside it
+      unwatchDirectories(fsPath);
+      for (const filePath of Object.keys(watcher.files)) {
+        if (filePath.startsWith(fsPath + path.sep)) { watcher.update(filePath, undefined); }
+      }
+    }
+    if (!globMatches(toWatch, uri) || isExcluded(uri, false)) { return; }
+    watcher.update(fsPath, stat && stat.isFile() ? [stat.mtimeMs, stat.size] : undefined);
+  };
+
+  scanFiles(toWatch, isExcluded).then(files => {
+    if (watcher.disposed) { return; }
+    watcher.files = files;
+    try {
+      fsWatcher = fs.watch(toWatch.base, { recursive: true }, (eventType, filename) => {
+        if (filename) { changed(path.join(toWatch.base, filename.toString())).catch(watchError); }
+      });
+      fsWatcher.on('error', watchError);
+    } catch (e) {
+      if (e.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') { throw e; }
+      getOutputChannel().appendLine(`[fs] recursive fs.watch is not available, watching every directory of ${toWatch.base}`);
+      return watchDirectories(toWatch.base);
+    }
+  }).catch(e => errorMessage(`notify-on-file can't watch ${toWatch.base}: ${e.message}`));
+  return watcher;
+}
+
+// The poll backend keeps its scan in workspaceState only up to this number of files
+const pollStateMaxFiles = 10000;
+// and writes it at most once per this number of milliseconds, and when it stops
+const pollStateSaveMs = 30000;
+
+/**
+ * Watches a RelativePattern by scanning its directory every intervalMs milliseconds.
+ * The scan is kept in workspaceState, so the first scan after the workspace was opened
+ * again reports the files that were created, changed or deleted while it was closed.
+ * A failed scan is reported once and tried again at the next interval.
+ */
+function createPollWatcher(toWatch, isExcluded, intervalMs, ignoreCreateEvents, ignoreChangeEvents, ignoreDeleteEvents) {
+  let timer = undefined;
+  const workspaceState = extensionContext ? extensionContext.workspaceState : undefined;
+  const stateKey = `pollScan:${toWatch.base}:${toWatch.pattern}`;
+  let unsaved = false;   // the scan has changes that are not saved yet
+  let savedTime = 0;
+  const save = () => {
+    if (!workspaceState || !unsaved) { return; }
+    unsaved = false;
+    savedTime = Date.now();
+    // A larger scan is not saved: changes made while the workspace was closed are not reported
+    const tooLarge = Object.keys(watcher.files).length > pollStateMaxFiles;
+    workspaceState.update(stateKey, tooLarge ? undefined : watcher.files)
+      .then(undefined, e => errorMessage(`notify-on-file can't save the scan of ${toWatch.base}: ${e.message}`));
+  };
+  const watcher = createBackendWatcher(ignoreCreateEvents, ignoreChangeEvents, ignoreDeleteEvents,
+    () => { clearTimeout(timer); save(); });
+
+  // Without a saved scan the first scan only records the files
+  const saved = workspaceState ? workspaceState.get(stateKey) : undefined;
+  let recording = !(isObject(saved) && saved !== null);
+  if (!recording) { watcher.files = Object.assign({}, saved); }
+  let lastError = undefined;
+  const poll = async () => {
+    try {
+      const files = await scanFiles(toWatch, isExcluded);
+      lastError = undefined;
+      if (watcher.disposed) { return; }
+      if (recording) {
+        watcher.files = files;
+        recording = false;
+        unsaved = true;
+      } else {
+        for (const fsPath of Object.keys(watcher.files)) {
+          if (!files[fsPath] && watcher.update(fsPath, undefined)) { unsaved = true; }
+        }
+        for (const fsPath of Object.keys(files)) {
+          if (watcher.update(fsPath, files[fsPath])) { unsaved = true; }
+        }
+      }
+      if (Date.now() - savedTime >= pollStateSaveMs) { save(); }
+    } catch (e) {
+      // An unreachable share fails at every interval: report it once
+      if (e.message !== lastError) { errorMessage(`notify-on-file can't scan ${toWatch.base}: ${e.message}`); }
+      lastError = e.message;
+    }
+    if (!watcher.disposed) { timer = setTimeout(poll, intervalMs); }
+  };
+  poll();
+  return watcher;
+}
+
+// ── Tail mode ──────────────────────────────────────────────────────────────────
+//
+// A watcher with "tail" reads only the lines appended to a file since the last event,
+// like tail -f. Per file it keeps the offset after the last complete line and the
+// inode. A file that got shorter (truncated) or has another inode (rotated) is read
+// from the start again. The onChange actions run for every new line that matches
+// include and not exclude, or once for all of them with batch.
+
+// More appended bytes than this are skipped: only the last part is read
+const tailReadMax = 1024 * 1024;
+// Maximum number of files whose offsets are set when the watcher is created
+const tailSeedMax = 1000;
+
+/**
+ * Creates the line reader of a tail watcher. options is true or an object with
+ * include, exclude (regular expressions) and batch.
+ */
+function createTailReader(options) {
+  options = isObject(options) && options !== null ? options : {};
+  // Invalid regular expressions are reported by validateWatcher
+  const toRegex = source => isString(source) && !regexProblem(source) ? new RegExp(source) : undefined;
+  const include = toRegex(getProperty(options, "include"));
+  const exclude = toRegex(getProperty(options, "exclude"));
+  const files = new Map();   // fsPath → { offset, ino }
+  const reads = new Map();   // fsPath → promise of the last read, so reads of a file don't overlap
+  let seeded = Promise.resolve();
+
+  const readLines = async (fsPath, created) => {
+    const stat = await fs.promises.stat(fsPath).catch(() => undefined);
+    if (!stat || !stat.isFile()) { files.delete(fsPath); return []; }
+    let known = files.get(fsPath);
+    if (!known && !created) {
+      // An existing file that was not seeded (excluded from the lookup, or above tailSeedMax):
+      // its lines are read from now on
+      files.set(fsPath, { offset: stat.size, ino: stat.ino });
+      return [];
+    }
+    // A created, truncated or rotated file is read from the start
+    if (!known || known.ino !== stat.ino || stat.size < known.offset) { known = { offset: 0, ino: stat.ino }; }
+    let start = known.offset;
+    const skipFirst = stat.size - start > tailReadMax;
+    if (skipFirst) { start = stat.size - tailReadMax; }
+    files.set(fsPath, { offset: start, ino: stat.ino });
+    if (stat.size <= start) { return []; }
+    const buffer = Buffer.alloc(stat.size - start);
+    const handle = await fs.promises.open(fsPath, 'r');
+    let bytesRead = 0;
+    try { bytesRead = (await handle.read(buffer, 0, buffer.length, start)).bytesRead; } finally { await handle.close(); }
+    // Only complete lines are read, the rest waits for the next event
+    const end = bytesRead > 0 ? buffer.lastIndexOf(0x0a, bytesRead - 1) : -1;
+    if (end < 0) { return []; }
+    files.set(fsPath, { offset: start + end + 1, ino: stat.ino });
+    const lines = buffer.toString('utf8', 0, end).split('\n').map(line => line.replace(/\r$/, ''));
+    if (skipFirst) { lines.shift(); }  // Probably a part of a line
+    return lines;
+  };
+
+  /** The captures of include for a line that passes the filters, undefined otherwise. */
+  const matchLine = line => {
+    if (exclude && exclude.test(line)) { return undefined; }
+    if (!include) { return {}; }
+    const m = include.exec(line);
+    return m ? Object.assign({}, Array.from(m), m.groups) : undefined;
+  };
+
+  return {
+    batch: getProperty(options, "batch", false) === true,
+    /**
+     * Sets the offsets of the existing files to their end, so only new lines are read.
+     * findFsPaths returns a promise of the fsPaths; reads wait until they are set.
+     */
+    seed(findFsPaths) {
+      seeded = seeded.then(findFsPaths).then(async fsPaths => {
+        for (const fsPath of fsPaths) {
+          const stat = await fs.promises.stat(fsPath).catch(() => undefined);
+          if (stat && stat.isFile() && !files.has(fsPath)) { files.set(fsPath, { offset: stat.size, ino: stat.ino }); }
+        }
+      }).catch(e => errorMessage(`notify-on-file tail error: ${e.message}`));
+    },
+    /**
+     * Reads the new lines of a file and returns [{ line, match }] of the lines that pass the filters.
+     * An unknown file is read from the start only if it was just created.
+     */
+    read(uri, created) {
+      const fsPath = uri.fsPath;
+      const read = dblQuest(reads.get(fsPath), seeded)
+        .then(() => readLines(fsPath, created))
+        .catch(e => errorMessage(`notify-on-file tail error for ${fsPath}: ${e.message}`, []))
+        .then(lines => lines.map(line => ({ line, match: matchLine(line) })).filter(l => l.match !== undefined));
+      reads.set(fsPath, read);
+      read.then(() => { if (reads.get(fsPath) === read) { reads.delete(fsPath); } });
+      return read;
+    },
+    forget(uri) { files.delete(uri.fsPath); }
+  };
+}
+
+// ── Configuration validation ───────────────────────────────────────────────────
+//
+// Watcher objects are checked against the schema in package.json (the schema that
+// gives completions and squiggles in settings.json), and for what the schema can't
+// check: globs, regular expressions, theme colors and paths. The problems found while
+// loading the configuration are written to the output channel as one report.
+
+// The settings schema as VS Code sees it: a $ref like "#/properties/<setting>/definitions/action"
+// is resolved from this root
+const settingsSchema = { properties: require('./package.json').contributes.configuration.properties };
+
+// Schemas of the watcher, action and condition objects
+const { watcher: watcherSchema, condition: conditionSchema } =
+  settingsSchema.properties['notify-on-file.watchers'].definitions;
+
+/** Returns the JSON type of a value: array, object, string, number, boolean or null. */
+function jsonType(value) {
+  if (value === null) { return 'null'; }
+  return isArray(value) ? 'array' : typeof value;
+}
+
+/** Number of single character edits to turn a into b. */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; ++i) {
+    const current = [i];
+    for (let j = 1; j <= b.length; ++j) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/** Returns the key of keys that key was probably meant to be (other case or a typo), or undefined. */
+function similarKey(key, keys) {
+  const lower = key.toLowerCase();
+  return keys.find(k => k.toLowerCase() === lower) || keys.find(k => editDistance(k.toLowerCase(), lower) <= 2);
+}
+
+/** Returns the schema a $ref points to, with the other keywords of schema, or schema itself. */
+function resolveSchema(schema) {
+  if (!isString(schema.$ref)) { return schema; }
+  const target = schema.$ref.replace(/^#\/?/, '').split('/').filter(key => key.length > 0)
+    .reduce((s, key) => s[key.replace(/~1/g, '/').replace(/~0/g, '~')], settingsSchema);
+  const rest = Object.assign({}, schema);
+  delete rest.$ref;
+  return Object.assign({}, resolveSchema(target), rest);
+}
+
+/**
+ * Checks value against a JSON schema and adds a "where: message" problem for every
+ * mismatch. Supports the keywords used in package.json: $ref, type, enum, minimum,
+ * pattern, items, properties and additionalProperties.
+ */
+function schemaProblems(value, schema, where, problems) {
+  schema = resolveSchema(schema);
+  const type = jsonType(value);
+  const types = schema.type === undefined ? [] : (isArray(schema.type) ? schema.type : [schema.type]);
+  if (types.length > 0 && types.indexOf(type) < 0) {
+    problems.push(`${where}: expected ${types.join(' or ')}, found ${type}`);
+    return;
+  }
+  if (schema.enum && schema.enum.indexOf(value) < 0) {
+    problems.push(`${where}: ${JSON.stringify(value)} is not one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+  if (schema.minimum !== undefined && type === 'number' && value < schema.minimum) {
+    problems.push(`${where}: ${value} is less than ${schema.minimum}`);
+  }
+  if (schema.pattern && type === 'string' && !new RegExp(schema.pattern).test(value)) {
+    problems.push(`${where}: ${JSON.stringify(value)} has the wrong format`);
+  }
+  if (type === 'array' && schema.items) {
+    value.forEach((item, i) => schemaProblems(item, schema.items, `${where}[${i}]`, problems));
+  }
+  if (type === 'object') {
+    const properties = dblQuest(schema.properties, {});
+    for (const key of Object.keys(value)) {
+      if (properties.hasOwnProperty(key)) {
+        schemaProblems(value[key], properties[key], `${where}.${key}`, problems);
+      } else if (schema.additionalProperties === false) {
+        const similar = similarKey(key, Object.keys(properties));
+        problems.push(`${where}: unknown property "${key}"${similar ? `, did you mean "${similar}"?` : ''}`);
+      } else if (isObject(schema.additionalProperties)) {
+        schemaProblems(value[key], schema.additionalProperties, `${where}.${key}`, problems);
+      }
+    }
+  }
+}
+
+/** Returns what is wrong with a glob pattern, or undefined. */
+function globProblem(glob) {
+  if (glob.length === 0) { return 'empty glob pattern'; }
+  if (glob.indexOf('\\') >= 0) { return `use / as path separator in glob pattern "${glob}"`; }
+  let braces = 0;
+  let brackets = 0;
+  for (const c of glob) {
+    if (c === '{') { ++braces; }
+    if (c === '}' && --braces < 0) { break; }
+    if (c === '[') { ++brackets; }
+    if (c === ']' && --brackets < 0) { break; }
+  }
+  if (braces !== 0) { return `unbalanced { } in glob pattern "${glob}"`; }
+  if (brackets !== 0) { return `unbalanced [ ] in glob pattern "${glob}"`; }
+}
+
+/** Returns the error message of an invalid regular expression, or undefined. */
+function regexProblem(pattern, flags) {
+  try {
+    new RegExp(pattern, flags);
+  } catch (e) {
+    return e.message;
+  }
+}
+
+// A theme color id is a name or dotted names, e.g. "foreground" or "statusBarItem.warningBackground".
+// Extensions contribute their own ids, so only the form of the id is checked.
+const themeColorIdRegex = /^[A-Za-z][\w-]*(\.[\w-]+)*$/;
+
+/** Checks the regular expressions of a condition and of its nested conditions. */
+function validateCondition(condition, where, problems) {
+  if (!isObject(condition) || condition === null) { return; }
+  const contentMatches = getProperty(condition, "contentMatches");
+  if (isString(contentMatches)) {
+    const problem = regexProblem(contentMatches, getProperty(condition, "contentFlags", ''));
+    if (problem) { problems.push(`${where}.contentMatches: ${problem}`); }
+  }
+  for (const key of ['and', 'or', 'not']) {
+    const nested = getProperty(condition, key);
+    if (nested === undefined) { continue; }
+    (isArray(nested) ? nested : [nested]).forEach((c, i) => {
+      const nestedWhere = isArray(nested) ? `${where}.${key}[${i}]` : `${where}.${key}`;
+      schemaProblems(c, conditionSchema, nestedWhere, problems);
+      validateCondition(c, nestedWhere, problems);
+    });
+  }
+}
+
+/** Checks what the schema can't check of the action objects of a list. */
+function validateActions(actionList, where, problems) {
+  if (!isArray(actionList)) { return; }
+  actionList.forEach((action, i) => {
+    const actionWhere = `${where}[${i}]`;
+    if (!isObject(action) || action === null) { return; }
+    if (actionName(action) === "unknown") {
+      problems.push(`${actionWhere}: no action, use one of ${actionTypes.join(', ')}`);
+    }
+    // The schema lists the values of backgroundColor
+    const color = getProperty(action, "color");
+    if (isString(color) && !themeColorIdRegex.test(color)) {
+      problems.push(`${actionWhere}.color: "${color}" is not a theme color id`);
+    }
+    validateCondition(getProperty(action, "when"), `${actionWhere}.when`, problems);
+    const buttons = getProperty(action, "buttons");
+    if (!isArray(buttons)) { return; }
+    buttons.forEach((button, j) => {
+      const buttonActions = isObject(button) && button !== null ? getProperty(button, "actions") : undefined;
+      if (!isArray(buttonActions)) { return; }
+      validateActions(buttonActions, `${actionWhere}.buttons[${j}].actions`, problems);
+    });
+  });
+}
+
+/**
+ * Checks a watcher object. Adds the problems it finds to problems; the path is
+ * checked by createWatcher once its variables are resolved. Returns false if a
+ * value has the wrong type: such a watcher can't be created.
+ */
+function validateWatcher(watcherConfig, where, problems) {
+  const typeProblems = [];
+  schemaProblems(watcherConfig, watcherSchema, where, typeProblems);
+  problems.push(...typeProblems);
+  if (!isObject(watcherConfig) || watcherConfig === null) { return false; }
+  // [key, glob] of every glob pattern, the key includes the index in a list
+  const globs = [];
+  if (isString(getProperty(watcherConfig, "globPattern"))) { globs.push(['globPattern', watcherConfig.globPattern]); }
+  for (const key of ['globPatterns', 'exclude']) {
+    const list = getProperty(watcherConfig, key);
+    if (isArray(list)) { list.forEach((glob, i) => { if (isString(glob)) { globs.push([`${key}[${i}]`, glob]); } }); }
+  }
+  for (const [key, glob] of globs) {
+    const problem = globProblem(glob);
+    if (problem) { problems.push(`${where}.${key}: ${problem}`); }
+  }
+  const pathRegex = getProperty(watcherConfig, "pathRegex");
+  if (isString(pathRegex)) {
+    const problem = regexProblem(pathRegex);
+    if (problem) { problems.push(`${where}.pathRegex: ${problem}`); }
+  }
+  const tail = getProperty(watcherConfig, "tail");
+  if (isObject(tail) && tail !== null) {
+    for (const key of ['include', 'exclude']) {
+      const problem = isString(tail[key]) ? regexProblem(tail[key]) : undefined;
+      if (problem) { problems.push(`${where}.tail.${key}: ${problem}`); }
+    }
+  }
+  if (tail && getProperty(watcherConfig, "onChange") === undefined) {
+    problems.push(`${where}.tail: tail mode runs the onChange actions, but there are none`);
+  }
+  validateCondition(getProperty(watcherConfig, "when"), `${where}.when`, problems);
+  for (const key of ['onCreate', 'onChange', 'onDelete', 'onRename']) {
+    validateActions(getProperty(watcherConfig, key), `${where}.${key}`, problems);
+  }
+  return !typeProblems.some(problem => /: expected .+, found \w+$/.test(problem));
+}
+
+/**
+ * Writes the problems found in the configuration to the output channel and shows
+ * one warning with a button to show them.
+ */
+function reportProblems(problems) {
+  problems = Array.from(new Set(problems));
+  if (problems.length === 0) { return; }
+  const channel = getOutputChannel();
+  const summary = `${problems.length} problem${problems.length === 1 ? '' : 's'} in the Notify On File settings`;
+  channel.appendLine(`[config] ${summary}:`);
+  for (const problem of problems) { channel.appendLine(`[config]   ${problem}`); }
+  vscode.window.showWarningMessage(`${summary}.`, 'Show').then(selected => {
+    if (selected === 'Show') { channel.show(true); }
+  });
+}
+
+// ── Watcher lifecycle ──────────────────────────────────────────────────────────
+
+/**
+ * Stops and destroys all active file system watchers.
+ * Called before re-reading the configuration to avoid duplicate watchers.
+ */
+function disposeWatchers() {
+  for (const w of watchers) { disposeWatcher(w); }
+  watchers = [];
+}
+
+/** Stops one watcher of the watchers list; the caller removes it from the list. */
+function disposeWatcher(w) {
+  for (const ev of w.events) { ev.dispose(); }        // Unsubscribe event listeners
+  for (const fw of w.fileWatchers) { fw.dispose(); }  // Stop the file system watchers
+  w.handler.dispose();                                // Cancel pending debounce/batch timers
+  if (w.renames) { w.renames.dispose(); }             // Cancel pending rename pairing timers
+}
+
+/**
+ * Creates a watcher from a config object.
+ *
+ * watcherConfig corresponds to one entry in settings.json, e.g.:
+ *   {
+ *     "path": "${workspaceFolder}",
+ *     "globPattern": "**\/*",
+ *     "exclude": [ "**\/node_modules/**" ],
+ *     "onChange": [ { "autoSave": true }, { "notify": "${relativeFile}" } ]
+ *   }
+ *
+ * If "path" is given, the glob is relative to that path (RelativePattern).
+ * If "path" is omitted, the glob is workspace-relative (default VS Code behavior).
+ * "globPatterns" (array) creates one FileSystemWatcher per pattern; they share
+ * the same actions and an event reported by more than one of them runs once.
+ *
+ * Event types: onChange, onCreate, onDelete.
+ * Any omitted event type is ignored (ignoreXxxEvents = true).
+ * "backend" selects the source of the events (see Watcher backends).
+ *
+ * Configuration problems are added to problems (reported by the caller), prefixed
+ * with where (default: the watcher name).
+ *
+ * With a workspace folder the watcher belongs to that folder: the variables of
+ * "path" are resolved against it and without "path" the globs are relative to it.
+ */
+async function createWatcher(watcherConfig, problems, where, folder) {
+  problems = dblQuest(problems, []);
+  if (!isObject(watcherConfig) || watcherConfig === null) {
+    problems.push(`${dblQuest(where, 'watcher')}: expected object, found ${jsonType(watcherConfig)}`);
+    return;
+  }
+  let globPatterns = getProperty(watcherConfig, "globPatterns");
+  if (!isArray(globPatterns) || globPatterns.length === 0) {
+    globPatterns = [getProperty(watcherConfig, "globPattern", "*.js")];
+  }
+  let watchPath = getProperty(watcherConfig, "path");
+  // Used to group events in the Event History view
+  const globDescription = globPatterns.join(',');
+  const watcherName = getProperty(watcherConfig, "name", watchPath ? `${watchPath}/${globDescription}` : globDescription);
+  where = dblQuest(where, `watcher "${watcherName}"`);
+  if (!validateWatcher(watcherConfig, where, problems)) {
+    problems.push(`${where}: not created, fix the values of the wrong type`);
+    return;
+  }
+  let watchPathUri = undefined;
+  if (watchPath) {
+    // Resolve ${...} variables in the path string (e.g. ${workspaceFolder})
+    const resolvedPath = await variableSubstitution(watchPath, {}, folder ? folder.uri : undefined);
+    if (!(await fs.promises.stat(resolvedPath).catch(() => undefined))) {
+      problems.push(`${where}.path: "${watchPath}" resolves to "${resolvedPath}", which does not exist`);
+    }
+    watchPath = resolvedPath;
+    watchPathUri = vscode.Uri.file(watchPath);
+  } else if (folder) {
+    watchPathUri = folder.uri;
+  }
+  // RelativePattern scopes the glob to a specific directory
+  const toWatchList = globPatterns.map(glob => watchPathUri ? new vscode.RelativePattern(watchPathUri, glob) : glob);
+
+  let onCreate = getProperty(watcherConfig, "onCreate");
+  let onChange = getProperty(watcherConfig, "onChange");
+  let onDelete = getProperty(watcherConfig, "onDelete");
+  let onRename = getProperty(watcherConfig, "onRename");
+
+  // Tail mode: onChange runs for the lines appended to the file (see Tail mode)
+  const tailOption = getProperty(watcherConfig, "tail");
+  const tail = tailOption && onChange ? createTailReader(tailOption) : undefined;
+
+  // Tell VS Code to ignore event types we have no actions for (performance optimization).
+  // Rename detection needs all event types: change events update the file fingerprints.
+  // Tail mode also reads the lines of created files and forgets the offsets of deleted ones.
+  let ignoreCreateEvents = onCreate === undefined && onRename === undefined && !tail;
+  let ignoreChangeEvents = onChange === undefined && onRename === undefined;
+  let ignoreDeleteEvents = onDelete === undefined && onRename === undefined && !tail;
+
+  // The fs and poll backends watch directories: a glob without "path" is watched in
+  // every workspace folder
+  const backend = getProperty(watcherConfig, "backend", "vscode");
+  const pollIntervalMs = Math.max(getProperty(watcherConfig, "pollIntervalMs", 5000), 100);
+  const backendWatchList = backend === "vscode" ? toWatchList : [].concat(...toWatchList.map(toWatch => isString(toWatch)
+    ? dblQuest(vscode.workspace.workspaceFolders, []).map(wsf => new vscode.RelativePattern(wsf, toWatch))
+    : [toWatch]));
+
+  // Exclude globs are relative to "path", or to the workspace folder of the file.
+  // files.exclude and .gitignore globs are relative to the workspace folder.
+  const exclude = getProperty(watcherConfig, "exclude", []);
+  const useFilesExclude = getProperty(watcherConfig, "useFilesExclude", false);
+  const useGitignore = getProperty(watcherConfig, "useGitignore", false);
+  const gitignoreRules = new Map();  // workspace folder fsPath → rules
+  // The watchers of the .gitignore files and their listeners, disposed with the watcher
+  const gitignoreWatchers = [];
+  if (useGitignore) {
+    for (const wsf of dblQuest(vscode.workspace.workspaceFolders, [])) {
+      const read = async () => { gitignoreRules.set(wsf.uri.fsPath, await readGitignoreRules(wsf)); };
+      await read();
+      const gitignoreWatcher = vscode.workspace.createFileSystemWatcher(new vscode.RelativePattern(wsf, '.gitignore'));
+      gitignoreWatchers.push(gitignoreWatcher,
+        gitignoreWatcher.onDidCreate(read), gitignoreWatcher.onDidChange(read), gitignoreWatcher.onDidDelete(read));
+    }
+  }
+  const isExcluded = uri => {
+    const wsf = vscode.workspace.getWorkspaceFolder(uri);
+    const excludeBase = watchPathUri || (wsf && wsf.uri);
+    for (const glob of exclude) {
+      if (globMatches(excludeBase ? new vscode.RelativePattern(excludeBase, glob) : glob, uri)) { return true; }
+    }
+    if (!wsf) { return false; }
+    if (useFilesExclude) {
+      const filesExclude = vscode.workspace.getConfiguration('files', wsf.uri).get('exclude', {});
+      for (const glob of Object.keys(filesExclude)) {
+        // Only plain true entries, "when" clauses are not supported
+        if (filesExclude[glob] === true && globMatches(new vscode.RelativePattern(wsf, glob), uri)) { return true; }
+      }
+    }
+    // The last matching rule decides; only the rules that would change the result are matched
+    let ignored = false;
+    for (const rule of dblQuest(gitignoreRules.get(wsf.uri.fsPath), [])) {
+      if (ignored !== !rule.negated && globMatches(new vscode.RelativePattern(wsf, rule.glob), uri)) { ignored = !rule.negated; }
+    }
+    return ignored;
+  };
+
+  // The scans of the fs and poll backends skip a directory if an exclude pattern that
+  // ends in /** matches it, e.g. **/node_modules/**, if a files.exclude pattern matches
+  // it or its files, or if a .gitignore rule ignores it. With a negated .gitignore rule
+  // the directories are read, that rule can bring back a file inside them.
+  const directoryGlob = glob => glob.endsWith('/**') ? glob.substring(0, glob.length - 3) : undefined;
+  const directoryExcludes = (isArray(exclude) ? exclude : []).filter(isString).map(directoryGlob).filter(isString);
+  const isScanExcluded = (uri, isDirectory) => {
+    if (!isDirectory) { return isExcluded(uri); }
+    const wsf = vscode.workspace.getWorkspaceFolder(uri);
+    const excludeBase = watchPathUri || (wsf && wsf.uri);
+    if (directoryExcludes.some(glob => globMatches(excludeBase ? new vscode.RelativePattern(excludeBase, glob) : glob, uri))) { return true; }
+    if (!wsf) { return false; }
+    if (useFilesExclude) {
+      const filesExclude = vscode.workspace.getConfiguration('files', wsf.uri).get('exclude', {});
+      for (const glob of Object.keys(filesExclude)) {
+        if (filesExclude[glob] !== true) { continue; }
+        const dirGlob = dblQuest(directoryGlob(glob), glob);
+        if (globMatches(new vscode.RelativePattern(wsf, dirGlob), uri)) { return true; }
+      }
+    }
+    const rules = dblQuest(gitignoreRules.get(wsf.uri.fsPath), []);
+    if (rules.some(rule => rule.negated)) { return false; }
+    return rules.some(rule => directoryGlob(rule.glob) && globMatches(new vscode.RelativePattern(wsf, directoryGlob(rule.glob)), uri));
+  };
+
+  const fileWatchers = backendWatchList.map(toWatch => {
+    if (backend === "fs") { return createFsWatcher(toWatch, isScanExcluded, ignoreCreateEvents, ignoreChangeEvents, ignoreDeleteEvents); }
+    if (backend === "poll") { return createPollWatcher(toWatch, isScanExcluded, pollIntervalMs, ignoreCreateEvents, ignoreChangeEvents, ignoreDeleteEvents); }
+    return vscode.workspace.createFileSystemWatcher(toWatch, ignoreCreateEvents, ignoreChangeEvents, ignoreDeleteEvents);
+  });
+
+  // The existing files of a glob pattern, without the excluded ones
+  const seedExclude = findFilesExclude(exclude);
+  const findWatchedFiles = async (toWatch, maxResults, findExclude = seedExclude) => {
+    const uris = backend === "vscode"
+      ? await vscode.workspace.findFiles(toWatch, findExclude, maxResults)
+      : Object.keys(await scanFiles(toWatch, isScanExcluded)).slice(0, maxResults).map(fsPath => vscode.Uri.file(fsPath));
+    return uris.filter(uri => !isExcluded(uri));
+  };
+  if (tail) {
+    // The vscode backend reports the files of search.exclude too: their offsets are set as well
+    const tailSeedExclude = findFilesExclude(exclude, false);
+    for (const toWatch of backendWatchList) {
+      tail.seed(async () => (await findWatchedFiles(toWatch, tailSeedMax, tailSeedExclude)).map(uri => uri.fsPath));
+    }
+  }
+
+  // With more than one glob pattern a file can be reported by several watchers:
+  // an event for the same file within 100ms is handled only once.
+  const recentEvents = new Set();
+  const isDuplicate = (uri, eventType) => {
+    if (fileWatchers.length < 2) { return false; }
+    const key = `${eventType}:${uri.fsPath}`;
+    if (recentEvents.has(key)) { return true; }
+    recentEvents.add(key);
+    setTimeout(() => { recentEvents.delete(key); }, 100);
+    return false;
+  };
+
+  // Subscribe to the relevant events and store the Disposables so we can clean up later
+  // triggerOnVSCodeSave: if false, onChange actions are skipped when VS Code saved the file.
+  // triggerOnExternalSave: if false, onChange actions are skipped when an external program saved the file.
+  // Both default to true (react to all saves) when not specified.
+  const triggerOnVSCodeSave    = dblQuest(getProperty(watcherConfig, "triggerOnVSCodeSave"),    true);
+  const triggerOnExternalSave  = dblQuest(getProperty(watcherConfig, "triggerOnExternalSave"),  true);
+
+  // Debounce, throttle and batch settings are applied by the handler, which checks the
+  // watcher's when condition for the events that are due. Tail mode checks it once per
+  // read (whenMatched), not for every line.
+  const when = getProperty(watcherConfig, "when");
+  const handler = createEventHandler(watcherConfig, async (uri, args) => args.whenMatched || conditionMatches(when, uri, args));
+
+  // Opt-in store with the last known contents of the watched text files
+  const snapshotsOption = getProperty(watcherConfig, "snapshots");
+  const snapshots = snapshotsOption ? createSnapshotStore(snapshotsOption) : undefined;
+  if (snapshots) {
+    for (const toWatch of backendWatchList) {
+      findWatchedFiles(toWatch, snapshots.maxFiles).then(uris => snapshots.seed(uris))
+        .catch(e => errorMessage(`notify-on-file can't read the snapshots of ${watcherName}: ${e.message}`));
+    }
+  }
+
+  // The entry in the watchers list, also used by the pause/resume and list commands.
+  // Its id is the name, with the folder of a folder watcher, and a number if another
+  // watcher has the same id, e.g. "one: logs" or "*.txt (2)"
+  const baseId = folder ? `${folder.name}: ${watcherName}` : watcherName;
+  let watcherId = baseId;
+  for (let n = 2; watchers.some(w => w.id === watcherId); ++n) { watcherId = `${baseId} (${n})`; }
+  const watcherEntry = { id: watcherId, name: watcherName, description: '', folder, fileWatchers, events: gitignoreWatchers.slice(), handler, eventCount: 0, snapshots };
+  watcherEntry.description = toWatchList.map(toWatch => isString(toWatch) ? toWatch : `${toWatch.base}/${toWatch.pattern}`).join(', ');
+  if (folder) { watcherEntry.description = `${folder.name}: ${watcherEntry.description}`; }
+  if (backend !== "vscode") { watcherEntry.description += ` (${backend})`; }
+
+  const dispatch = async (uri, actionList, args) => {
+    if (isWatcherPaused(watcherEntry)) { return; }
+    if (isExcluded(uri)) { return; }
+    watcherEntry.eventCount += 1;
+    if (snapshots) {
+      if (args.oldUri) { await snapshots.update(args.oldUri, 'delete'); }
+      await snapshots.update(uri, args.eventType);
+      args.snapshots = snapshots;
+    }
+    handler(uri, actionList, args);
+  };
+
+  // Capture groups of pathRegex, matched against the relative path, are available as ${match:name}
+  // An invalid pathRegex is reported by validateWatcher
+  let pathRegex = getProperty(watcherConfig, "pathRegex");
+  pathRegex = pathRegex && !regexProblem(pathRegex) ? new RegExp(pathRegex) : undefined;
+
+  // Values describing the event, shared by the actions of the list
+  const eventArgs = (uri, eventType) => {
+    const saveOrigin = recentlySavedByVSCode.has(uri.fsPath) ? 'vscode' : 'external';
+    const args = { eventType, saveOrigin, watcherName, eventTime: new Date() };
+    if (pathRegex) {
+      const m = pathRegex.exec(vscode.workspace.asRelativePath(uri, false).replace(/\\/g, '/'));
+      args.match = m ? Object.assign({}, Array.from(m), m.groups) : {};
+    }
+    return args;
+  };
+
+  // Tail mode: the onChange actions run for every new line, or once for all of them with
+  // batch. The captures of include are added to the ones of pathRegex.
+  const dispatchLines = async (uri, args, created) => {
+    if (isExcluded(uri)) { return; }
+    const lines = await tail.read(uri, created);
+    if (lines.length === 0) { return; }
+    if (!(await conditionMatches(when, uri, args))) { return; }
+    args.whenMatched = true;
+    if (tail.batch) {
+      args.lines = lines.map(l => l.line);
+      lines.splice(1);
+    }
+    for (const l of lines) {
+      dispatch(uri, onChange, Object.assign({}, args, { line: l.line, match: Object.assign({}, args.match, l.match) }));
+    }
+  };
+
+  // With onRename, delete and create events are held for renameWindowMs to pair them
+  const renames = onRename ? createRenameDetector(getProperty(watcherConfig, "renameWindowMs", 500), {
+    deleted: (uri, args) => { if (onDelete) { dispatch(uri, onDelete, args); } },
+    created: (uri, args) => { if (onCreate) { dispatch(uri, onCreate, args); } },
+    renamed: (oldUri, newUri, args) => {
+      args.eventType = 'rename';
+      args.oldUri = oldUri;
+      dispatch(newUri, onRename, args);
+    }
+  }) : undefined;
+  if (renames) {
+    watcherEntry.renames = renames;
+    for (const toWatch of backendWatchList) {
+      findWatchedFiles(toWatch, renames.fingerprintIndexMax).then(uris => renames.seed(uris))
+        .catch(e => errorMessage(`notify-on-file can't fingerprint the files of ${watcherName}: ${e.message}`));
+    }
+  }
+
+  const events = watcherEntry.events;
+  for (const watcher of fileWatchers) {
+    if (!ignoreChangeEvents) {
+      events.push(watcher.onDidChange(uri => {
+        if (isDuplicate(uri, 'change')) { return; }
+        if (renames) { renames.changed(uri); }
+        if (!onChange) { return; }
+        const args = eventArgs(uri, 'change');
+        const savedByVSCode = args.saveOrigin === 'vscode';
+        // Skip if the save source doesn't match the watcher's filter settings
+        if (savedByVSCode  && !triggerOnVSCodeSave)   { return; }
+        if (!savedByVSCode && !triggerOnExternalSave)  { return; }
+        if (tail) { dispatchLines(uri, args); }
+        else { dispatch(uri, onChange, args); }
+      }));
+    }
+    if (!ignoreCreateEvents) {
+      events.push(watcher.onDidCreate(uri => {
+        if (isDuplicate(uri, 'create')) { return; }
+        if (tail) { dispatchLines(uri, eventArgs(uri, 'change'), true); }
+        if (renames) { renames.create(uri, eventArgs(uri, 'create')); }
+        else if (onCreate) { dispatch(uri, onCreate, eventArgs(uri, 'create')); }
+      }));
+    }
+    if (!ignoreDeleteEvents) {
+      events.push(watcher.onDidDelete(uri => {
+        if (isDuplicate(uri, 'delete')) { return; }
+        if (tail) { tail.forget(uri); }
+        if (renames) { renames.delete(uri, eventArgs(uri, 'delete')); }
+        else if (onDelete) { dispatch(uri, onDelete, eventArgs(uri, 'delete')); }
+      }));
+    }
+  }
+
+  watchers.push(watcherEntry);
+}
+
+// ── Workspace folder watchers ──────────────────────────────────────────────────
+//
+// In a multi-root workspace every folder can define watchers in its own
+// .vscode/settings.json. They are created for that folder only, with the variables
+// resolved against it. A watcher of the user or workspace settings with
+// "perFolder": true is copied into every folder.
+
+/** True if the workspace has folder settings apart from the workspace settings. */
+function hasFolderSettings() {
+  return vscode.workspace.workspaceFile !== undefined;
+}
+
+/** The watchers defined in the settings of a workspace folder. */
+function folderWatcherList(folder) {
+  if (!hasFolderSettings()) { return []; }
+  const inspected = vscode.workspace.getConfiguration(extensionShortName, folder.uri).inspect('watchers');
+  const watcherList = inspected ? inspected.workspaceFolderValue : undefined;
+  return isArray(watcherList) ? watcherList : [];
+}
+
+/** True if a watcher object of the user or workspace settings is copied into every folder. */
+function isPerFolder(watcherConfig) {
+  return isObject(watcherConfig) && watcherConfig !== null && getProperty(watcherConfig, "perFolder", false) === true;
+}
+
+/** Returns the location of a watcher object for the configuration report, e.g. "watchers[2] (logs)". */
+function watcherWhere(watcherConfig, index) {
+  const name = isObject(watcherConfig) && watcherConfig !== null ? getProperty(watcherConfig, "name") : undefined;
+  return `watchers[${index}]${isString(name) ? ` (${name})` : ''}`;
+}
+
+/**
+ * Creates a watcher like createWatcher. An error is added to problems, so one bad
+ * watcher doesn't stop the others or the report.
+ */
+async function tryCreateWatcher(watcherConfig, problems, where, folder) {
+  try {
+    await createWatcher(watcherConfig, problems, where, folder);
+  } catch (e) {
+    problems.push(`${where}: not created: ${e.message}`);
+  }
+}
+
+/** Creates the watchers of one workspace folder: its own and the perFolder copies. */
+async function createFolderWatchers(folder, sharedWatcherList, problems) {
+  const folderList = folderWatcherList(folder);
+  for (let i = 0; i < folderList.length; ++i) {
+    await tryCreateWatcher(folderList[i], problems, `${folder.name}: ${watcherWhere(folderList[i], i)}`, folder);
+  }
+  for (let i = 0; i < sharedWatcherList.length; ++i) {
+    if (!isPerFolder(sharedWatcherList[i])) { continue; }
+    // The same problems of every copy are reported once
+    await tryCreateWatcher(sharedWatcherList[i], problems, watcherWhere(sharedWatcherList[i], i), folder);
+  }
+}
+
+/** Stops and removes the watchers of one workspace folder. */
+function removeFolderWatchers(folder) {
+  const isFolderWatcher = w => w.folder && w.folder.uri.toString() === folder.uri.toString();
+  for (const w of watchers.filter(isFolderWatcher)) { disposeWatcher(w); }
+  watchers = watchers.filter(w => !isFolderWatcher(w));
+}
+
+/** Adds and removes exactly the watchers of the workspace folders that were added or removed. */
+async function workspaceFoldersChanged(event) {
+  for (const folder of event.removed) { removeFolderWatchers(folder); }
+  const sharedWatcherList = dblQuest(vscode.workspace.getConfiguration(extensionShortName, null).get('watchers'), []);
+  const problems = [];
+  for (const folder of event.added) {
+    await createFolderWatchers(folder, isArray(sharedWatcherList) ? sharedWatcherList : [], problems);
+  }
+  updateSnapshotContext();
+  reportProblems(problems);
+}
+
+/**
+ * Reads the current configuration and (re)creates all file watchers.
+ * Called on startup and whenever settings.json changes.
+ *
+ * Supports two config formats:
+ *
+ * New format (array, multiple watchers):
+ *   "notify-on-file.watchers": [ { ... }, { ... } ]
+ *
+ * Legacy format (single watcher object, backward compatible with original extension):
+ *   "notify-on-file.notify": { ... }
+ *
+ * The watchers of the workspace folder settings are created for their folder.
+ */
+async function updateConfiguration() {
+  disposeWatchers();  // Always start fresh
+  let configuration = vscode.workspace.getConfiguration(extensionShortName, null);
+
+  errorNotifications = dblQuest(configuration.get('errorNotifications'), false);
+  historySize = dblQuest(configuration.get('historySize'), 200);
+  historySnapshotMaxSize = dblQuest(configuration.get('historySnapshotMaxSize'), 0);
+  history.splice(Math.max(historySize, 0));
+  refreshHistory();
+
+  // All configuration problems are reported together when the watchers are created
+  const problems = [];
+
+  // New format: array of watcher configs, from the user or workspace settings and
+  // from the settings of every workspace folder
+  let watcherList = configuration.get('watchers');
+  watcherList = isArray(watcherList) ? watcherList : [];
+  const folders = dblQuest(vscode.workspace.workspaceFolders, []);
+  if (watcherList.length > 0 || folders.some(folder => folderWatcherList(folder).length > 0)) {
+    for (let i = 0; i < watcherList.length; ++i) {
+      if (isPerFolder(watcherList[i])) { continue; }  // Created by createFolderWatchers
+      await tryCreateWatcher(watcherList[i], problems, watcherWhere(watcherList[i], i));
+    }
+    for (const folder of folders) {
+      await createFolderWatchers(folder, watcherList, problems);
+    }
+    updateSnapshotContext();
+    reportProblems(problems);
+    return;  // Don't fall through to legacy format
+  }
+
+  // Legacy format: single "notify" object (original extension behavior)
+  let notify = configuration.get('notify');
+  if (notify && isObject(notify)) {
+    await tryCreateWatcher(notify, problems, 'notify');
+  }
+  updateSnapshotContext();
+  reportProblems(problems);
+}
+
+// ── Pause, resume and inspect commands ────────────────────────────────────────
+
+// Paused state survives a configuration reload: watchers are paused by id, or by name
+// (all watchers with that name) when the name is given as command argument.
+let pausedAll = false;
+let pausedWatchers = new Set();
+
+// Shown while watchers are paused; click to resume all
+let pausedStatusBarItem = undefined;
+
+function isWatcherPaused(w) { return pausedAll || pausedWatchers.has(w.id) || pausedWatchers.has(w.name); }
+
+/** Shows, updates or hides the "paused" status bar item. */
+function updatePausedStatusBarItem() {
+  if (!pausedAll && pausedWatchers.size === 0) {
+    if (pausedStatusBarItem) { pausedStatusBarItem.dispose(); pausedStatusBarItem = undefined; }
+    return;
+  }
+  if (!pausedStatusBarItem) {
+    pausedStatusBarItem = vscode.window.createStatusBarItem('notify-on-file.paused', vscode.StatusBarAlignment.Left, 0);
+    pausedStatusBarItem.name = 'Notify On File: paused';
+    pausedStatusBarItem.command = 'notify-on-file.resumeAll';
+    pausedStatusBarItem.backgroundColor = new vscode.ThemeColor('statusBarItem.warningBackground');
+  }
+  pausedStatusBarItem.text = pausedAll ? '$(debug-pause) Notify On File paused' : `$(debug-pause) Notify On File: ${pausedWatchers.size} paused`;
+  pausedStatusBarItem.tooltip = pausedAll ? 'All watchers are paused. Click to resume.'
+                                          : `Paused: ${Array.from(pausedWatchers).join(', ')}. Click to resume all.`;
+  pausedStatusBarItem.show();
+}
+
+function pauseAll() {
+  pausedAll = true;
+  updatePausedStatusBarItem();
+}
+
+function resumeAll() {
+  pausedAll = false;
+  pausedWatchers.clear();
+  updatePausedStatusBarItem();
+}
+
+/** Asks for the id of a watcher; only the watchers for which filter is true are offered. */
+async function pickWatcherId(placeHolder, filter) {
+  const ids = watchers.filter(filter).map(w => w.id);
+  if (ids.length === 0) {
+    vscode.window.showInformationMessage('Notify On File: no matching watchers');
+    return undefined;
+  }
+  return await vscode.window.showQuickPick(ids, { placeHolder });
+}
+
+/** Pauses one watcher; id is the command argument (an id or a name), or picked from a list. */
+async function pauseWatcher(id) {
+  if (!isString(id)) { id = await pickWatcherId('Watcher to pause', w => !isWatcherPaused(w)); }
+  if (!id) { return; }
+  pausedWatchers.add(id);
+  updatePausedStatusBarItem();
+}
+
+/**
+ * Resumes one watcher; id is the command argument (an id or a name), or picked from a list.
+ * A watcher that was paused by its name is resumed with the other watchers of that name.
+ */
+async function resumeWatcher(id) {
+  if (!isString(id)) { id = await pickWatcherId('Watcher to resume', w => pausedWatchers.has(w.id) || pausedWatchers.has(w.name)); }
+  if (!id) { return; }
+  pausedWatchers.delete(id);
+  for (const w of watchers) {
+    if (w.id === id) { pausedWatchers.delete(w.name); }
+  }
+  updatePausedStatusBarItem();
+}
+
+/** Shows the active watchers in a quick pick; picking one pauses or resumes it. */
+async function listWatchers() {
+  if (watchers.length === 0) {
+    vscode.window.showInformationMessage('Notify On File: no active watchers');
+    return;
+  }
+  const items = watchers.map(w => ({
+    label: `${isWatcherPaused(w) ? '$(debug-pause)' : '$(eye)'} ${w.id}`,
+    description: w.description,
+    detail: `${w.eventCount} event${w.eventCount === 1 ? '' : 's'}${isWatcherPaused(w) ? ' · paused' : ''}`,
+    watcher: w
+  }));
+  const picked = await vscode.window.showQuickPick(items, { placeHolder: 'Active watchers (pick one to pause or resume it)', matchOnDescription: true });
+  if (!picked) { return; }
+  if (pausedWatchers.has(picked.watcher.id) || pausedWatchers.has(picked.watcher.name)) { await resumeWatcher(picked.watcher.id); }
+  else { await pauseWatcher(picked.watcher.id); }
+}
+
+// ── Extension entry points ─────────────────────────────────────────────────────
+
+/**
+ * Called by VS Code when the extension is loaded.
+ * Sets up a listener for configuration changes and runs the initial setup.
+ *
+ * context.subscriptions: VS Code automatically disposes everything in this array
+ * when the extension is deactivated, so we don't need to manually unsubscribe.
+ */
+function activate(context) {
+  extensionContext = context;
+  vscode.workspace.onDidChangeConfiguration(configevent => {
+    // Only react if our own config section changed
+    if (configevent.affectsConfiguration(extensionShortName)) { updateConfiguration(); }
   }, null, context.subscriptions);
 
   // Track files saved by VS Code so onChange can distinguish them from external saves.
@@ -478,6 +3141,35 @@ function activate(context) {
     setTimeout(() => { recentlySavedByVSCode.delete(doc.uri.fsPath); }, 500);
   }, null, context.subscriptions);
 
+  // Watchers of workspace folders that are added to or removed from the workspace
+  vscode.workspace.onDidChangeWorkspaceFolders(workspaceFoldersChanged, null, context.subscriptions);
+
+  // Renames made inside VS Code: the watchers pair the delete/create events of these files
+  vscode.workspace.onWillRenameFiles(event => addExpectedRenames(event.files), null, context.subscriptions);
+  vscode.workspace.onDidRenameFiles(event => addExpectedRenames(event.files), null, context.subscriptions);
+
+  // Event History view with its context menu commands, and the openFile command
+  // that status bar items can run on click
+  context.subscriptions.push(
+    vscode.window.registerTreeDataProvider('notify-on-file.history', historyTreeDataProvider),
+    vscode.workspace.registerTextDocumentContentProvider(snapshotScheme, snapshotContentProvider),
+    vscode.commands.registerCommand('notify-on-file.history.openFile', historyOpenFile),
+    vscode.commands.registerCommand('notify-on-file.history.openDiff', historyOpenDiff),
+    vscode.commands.registerCommand('notify-on-file.history.clear', clearHistory),
+    vscode.commands.registerCommand('notify-on-file.restoreDeletedFile', restoreDeletedFile),
+    vscode.commands.registerCommand('notify-on-file.openFile', openFile)
+  );
+
+  // Commands to pause, resume, reload and inspect the watchers
+  context.subscriptions.push(
+    vscode.commands.registerCommand('notify-on-file.pauseAll', pauseAll),
+    vscode.commands.registerCommand('notify-on-file.resumeAll', resumeAll),
+    vscode.commands.registerCommand('notify-on-file.pauseWatcher', pauseWatcher),
+    vscode.commands.registerCommand('notify-on-file.resumeWatcher', resumeWatcher),
+    vscode.commands.registerCommand('notify-on-file.reload', updateConfiguration),
+    vscode.commands.registerCommand('notify-on-file.listWatchers', listWatchers)
+  );
+
   updateConfiguration();  // Initial setup on extension load
 }
 
@@ -487,9 +3179,21 @@ function activate(context) {
  */
 function deactivate() {
   disposeWatchers();
+  for (const id of Object.keys(statusBarItems)) { removeStatusBarItemById(id, statusBarItems); }
+  killExecProcesses();
+  if (pausedStatusBarItem) { pausedStatusBarItem.dispose(); pausedStatusBarItem = undefined; }
+  if (outputChannel) { outputChannel.dispose(); outputChannel = undefined; }
 }
 
 module.exports = {
   activate,
-  deactivate
+  deactivate,
+  // Internals used by the tests in test/
+  variableSubstitution,
+  variableSubstitutionAll,
+  conditionMatches,
+  actions,
+  createWatcher,
+  updateConfiguration,
+  disposeWatchers
 }
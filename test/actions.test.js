@@ -0,0 +1,357 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const fs = require('fs');
+const { mock, extension, settle, createWorkspace, activate, deactivate, calls } = require('./harness');
+
+const { actions } = extension;
+
+test('actions', async (t) => {
+  const workspace = createWorkspace(['workspace'], {
+    'workspace/notes.md': 'new text\n',
+    'workspace/image.png': Buffer.from([0x89, 0x50, 0x4e, 0x47, 0, 0, 1])
+  });
+  t.after(() => workspace.remove());
+  t.beforeEach(() => mock.reset());
+  t.afterEach(() => deactivate());
+  const file = workspace.file('workspace/notes.md');
+  const uri = mock.Uri.file(file);
+  const args = () => ({ eventType: 'change', saveOrigin: 'external', watcherName: 'notes' });
+
+  await t.test('showStatusBarItem and removeStatusBarItem', async () => {
+    const statusBarItems = {};
+    await actions(uri, [
+      { showStatusBarItem: 'changes', text: '${count} ${fileBasename}', counter: 'increment', alignment: 'right' },
+      { showStatusBarItem: 'changes', text: '${count} ${fileBasename}', counter: 'increment', alignment: 'right' }
+    ], statusBarItems, args());
+    assert.deepStrictEqual(calls('StatusBarItem.show').map(call => call.args.slice(0, 2)),
+      [['changes', '1 notes.md'], ['changes', '2 notes.md']]);
+    assert.strictEqual(statusBarItems.changes.alignment, mock.StatusBarAlignment.Right);
+
+    await actions(uri, [{ removeStatusBarItem: 'changes' }], statusBarItems, args());
+    assert.deepStrictEqual(calls('StatusBarItem.dispose').map(call => call.args), [['changes']]);
+    assert.strictEqual(statusBarItems.changes, undefined);
+  });
+
+  await t.test('showStatusBarItem keeps the item unless alignment or priority change', async () => {
+    const statusBarItems = {};
+    await actions(uri, [
+      { showStatusBarItem: 'logs', text: 'logs', alignment: 'right', priority: 100, command: 'test.command', color: 'charts.red' },
+      { showStatusBarItem: 'logs', counter: 'reset' }
+    ], statusBarItems, args());
+    assert.deepStrictEqual(calls('StatusBarItem.dispose'), []);
+    const item = statusBarItems.logs;
+    assert.deepStrictEqual([item.alignment, item.priority, item.text, item.command.command, item.color.id],
+      [mock.StatusBarAlignment.Right, 100, 'logs', 'test.command', 'charts.red']);
+
+    await actions(uri, [{ showStatusBarItem: 'logs', alignment: 'left' }], statusBarItems, args());
+    assert.deepStrictEqual(calls('StatusBarItem.dispose').map(call => call.args), [['logs']]);
+    assert.strictEqual(statusBarItems.logs.alignment, mock.StatusBarAlignment.Left);
+    assert.strictEqual(statusBarItems.logs.priority, 100);
+    statusBarItems.logs.dispose();
+  });
+
+  await t.test('notify', async () => {
+    mock.answers.push('Run');
+    await actions(uri, [
+      { notify: '${relativeFile} ${eventType}', severity: 'warning', buttons: [
+        { label: 'Run', command: 'test.command', args: ['${fileBasename}'] },
+        { label: 'Ignore' }
+      ] }
+    ], {}, args());
+    assert.deepStrictEqual(calls('window.showWarningMessage').map(call => call.args), [['notes.md change', 'Run', 'Ignore']]);
+    assert.deepStrictEqual(calls('commands.executeCommand').map(call => call.args), [['test.command', 'notes.md']]);
+  });
+
+  await t.test('notify with the default Open button', async () => {
+    mock.answers.push('Show');
+    await actions(uri, [{ notify: 'changed', openLabel: 'Show' }], {}, args());
+    assert.deepStrictEqual(calls('window.showInformationMessage').map(call => call.args), [['changed', 'Show']]);
+    assert.deepStrictEqual(calls('window.showTextDocument').map(call => call.args[0].fsPath), [file]);
+  });
+
+  await t.test('autoSave', async () => {
+    const results = await actions(uri, [{ autoSave: true }], {}, args());
+    assert.deepStrictEqual(results, [{ action: 'autoSave', ok: true }]);
+    assert.deepStrictEqual(calls('TextDocument.save').map(call => call.args[0].fsPath), [file]);
+  });
+
+  await t.test('autoSave skips binary files and files with unsaved edits', async () => {
+    const doc = await mock.workspace.openTextDocument(uri);
+    doc.isDirty = true;
+    doc.text = 'my edits';
+    const results = await actions(uri, [{ autoSave: true }], {}, args());
+    const binary = await actions(mock.Uri.file(workspace.file('workspace/image.png')), [{ autoSave: true }], {}, args());
+    assert.deepStrictEqual(results, [{ action: 'autoSave', ok: false, error: 'not saved: unsaved edits in the editor' }]);
+    assert.deepStrictEqual(binary, [{ action: 'autoSave', ok: false, error: 'not saved: binary file' }]);
+    assert.deepStrictEqual(calls('TextDocument.save'), []);
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), 'new text\n');
+  });
+
+  await t.test('autoSave with onDirty ask and skipSaveParticipants', async (t) => {
+    const doc = await mock.workspace.openTextDocument(uri);
+    doc.isDirty = true;
+    mock.answers.push('Keep Disk Version');
+    const readFile = t.mock.method(mock.workspace.fs, 'readFile');
+    await actions(uri, [{ autoSave: true, onDirty: 'ask', skipSaveParticipants: true }], {}, args());
+    assert.deepStrictEqual(calls('commands.executeCommand').map(call => call.args[0]),
+      ['workbench.action.files.revert', 'workbench.action.files.saveWithoutFormatting']);
+    // The editors are shown without taking the focus, and the file is not read for the binary check
+    assert.ok(calls('window.showTextDocument').every(call => call.args[1].preserveFocus === true));
+    assert.strictEqual(readFile.mock.callCount(), 0);
+    assert.strictEqual(doc.isDirty, false);
+    assert.strictEqual(doc.getText(), 'new text\n');
+  });
+
+  await t.test('revert', async () => {
+    const doc = await mock.workspace.openTextDocument(uri);
+    doc.isDirty = true;
+    doc.text = 'my edits';
+    await actions(uri, [{ revert: true }], {}, args());
+    assert.strictEqual(doc.isDirty, false);
+    assert.strictEqual(doc.getText(), 'new text\n');
+  });
+
+  await t.test('runCommand', async () => {
+    await actions(uri, [{ runCommand: 'test.command', args: { file: '${file}', list: ['${eventType}', 1] } }], {}, args());
+    assert.deepStrictEqual(calls('commands.executeCommand').map(call => call.args),
+      [['test.command', { file, list: ['change', 1] }]]);
+  });
+
+  await t.test('diff', async () => {
+    await activate({ 'notify-on-file.watchers': [{ globPattern: '**/*.md', snapshots: true, onChange: [{ diff: true }] }] });
+    fs.writeFileSync(file, 'newer text\n');
+    mock.fireFileEvent('change', file);
+    await settle();
+    const diff = calls('commands.executeCommand').find(call => call.args[0] === 'vscode.diff');
+    assert.ok(diff, 'vscode.diff executed');
+    assert.strictEqual(diff.args[1].scheme, 'notify-on-file-snapshot');
+    assert.strictEqual(diff.args[2].fsPath, file);
+    const left = await mock.contentProviders['notify-on-file-snapshot'].provideTextDocumentContent(diff.args[1]);
+    assert.strictEqual(left, 'new text\n');
+    fs.writeFileSync(file, 'new text\n');
+  });
+
+  await t.test('the history diff uses the snapshots of the watcher', async () => {
+    await activate({ 'notify-on-file.watchers': [{ name: 'md', globPattern: '**/*.md', snapshots: true, onChange: [{ notify: 'changed' }] }] });
+    assert.deepStrictEqual(calls('commands.executeCommand').map(call => call.args), [['setContext', 'notify-on-file.snapshots', true]]);
+    fs.writeFileSync(file, 'newer text\n');
+    mock.fireFileEvent('change', file);
+    await settle();
+    const provider = mock.treeDataProviders['notify-on-file.history'];
+    const [watcherNode] = provider.getChildren();
+    const [fileNode] = provider.getChildren(watcherNode);
+    await mock.registeredCommands['notify-on-file.history.openDiff'](fileNode);
+    const diff = calls('commands.executeCommand').find(call => call.args[0] === 'vscode.diff');
+    assert.ok(diff, 'vscode.diff executed');
+    assert.strictEqual(await mock.contentProviders['notify-on-file-snapshot'].provideTextDocumentContent(diff.args[1]), 'new text\n');
+    assert.strictEqual(diff.args[2].fsPath, file);
+    fs.writeFileSync(file, 'new text\n');
+
+    mock.reset();
+    await activate({ 'notify-on-file.watchers': [{ globPattern: '**/*.md', onChange: [{ notify: 'changed' }] }] });
+    assert.deepStrictEqual(calls('commands.executeCommand').map(call => call.args), [['setContext', 'notify-on-file.snapshots', false]]);
+  });
+
+  await t.test('snapshots are seeded with the excludes and up to maxTotalSize', async () => {
+    workspace.write('workspace/big.md', 'x'.repeat(100));
+    await activate({ 'notify-on-file.watchers': [{ globPattern: '**/*.md', exclude: ['drafts/**'], snapshots: { maxTotalSize: 50 }, onChange: [{ diff: true }] }] });
+    await settle();
+    assert.deepStrictEqual(calls('workspace.findFiles').map(call => call.args[1]), ['{drafts/**}']);
+    fs.writeFileSync(file, 'newer text\n');
+    mock.fireFileEvent('change', file);
+    await settle();
+    assert.ok(calls('commands.executeCommand').some(call => call.args[0] === 'vscode.diff'), 'notes.md was stored');
+    fs.writeFileSync(file, 'new text\n');
+    fs.rmSync(workspace.file('workspace/big.md'));
+  });
+
+  await t.test('log', async () => {
+    const logFile = workspace.file('logs/events.log');
+    await actions(uri, [
+      { log: logFile, line: '${eventType} ${relativeFile}' },
+      { log: logFile, json: { file: '${relativeFile}' } }
+    ], {}, args());
+    assert.strictEqual(fs.readFileSync(logFile, 'utf8'), 'change notes.md\n{"file":"notes.md"}\n');
+  });
+
+  await t.test('log rotates by maxSize and keeps maxFiles old files', async () => {
+    const logFile = workspace.file('logs/rotate.log');
+    const lines = [1, 2, 3, 4, 5, 6, 7].map(n => ({ log: logFile, line: `line ${n}`, maxSize: 14, maxFiles: 2 }));
+    await actions(uri, lines, {}, args());
+    assert.strictEqual(fs.readFileSync(logFile, 'utf8'), 'line 7\n');
+    assert.strictEqual(fs.readFileSync(`${logFile}.1`, 'utf8'), 'line 5\nline 6\n');
+    assert.strictEqual(fs.readFileSync(`${logFile}.2`, 'utf8'), 'line 3\nline 4\n');
+    assert.strictEqual(fs.existsSync(`${logFile}.3`), false);
+  });
+
+  await t.test('log rotateDaily renames a file written on another day', async () => {
+    const logFile = workspace.file('logs/daily.log');
+    fs.writeFileSync(logFile, 'old line\n');
+    const written = new Date(2020, 0, 2, 12);
+    fs.utimesSync(logFile, written, written);
+    await actions(uri, [{ log: logFile, line: 'new line', rotateDaily: true }], {}, args());
+    await actions(uri, [{ log: logFile, line: 'same day', rotateDaily: true }], {}, args());
+    assert.strictEqual(fs.readFileSync(workspace.file('logs/daily.2020-01-02.log'), 'utf8'), 'old line\n');
+    assert.strictEqual(fs.readFileSync(logFile, 'utf8'), 'new line\nsame day\n');
+  });
+
+  await t.test('log appends the lines of concurrent events in order', async () => {
+    const logFile = workspace.file('logs/concurrent.log');
+    const count = 20;
+    await Promise.all(Array.from({ length: count }, (_, n) =>
+      actions(uri, [{ log: logFile, line: `line ${n}`, maxSize: 50, maxFiles: 10 }], {}, args())));
+    const files = [logFile, ...[1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map(n => `${logFile}.${n}`)].filter(file => fs.existsSync(file));
+    const written = files.reverse().map(file => fs.readFileSync(file, 'utf8')).join('');
+    assert.strictEqual(written, Array.from({ length: count }, (_, n) => `line ${n}\n`).join(''));
+  });
+
+  await t.test('http', async (t) => {
+    const requests = [];
+    const server = http.createServer((request, response) => {
+      let body = '';
+      request.on('data', chunk => { body += chunk; });
+      request.on('end', () => {
+        requests.push({ method: request.method, url: request.url, type: request.headers['content-type'], body: JSON.parse(body) });
+        response.statusCode = 202;
+        response.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    const url = `http://127.0.0.1:${server.address().port}/events`;
+    await actions(uri, [
+      { http: url, json: true },
+      { notify: 'status ${httpStatus}' }
+    ], {}, args());
+    assert.strictEqual(requests.length, 1);
+    assert.strictEqual(requests[0].method, 'POST');
+    assert.strictEqual(requests[0].type, 'application/json');
+    assert.strictEqual(requests[0].body.relativeFile, 'notes.md');
+    assert.strictEqual(requests[0].body.eventType, 'change');
+    assert.deepStrictEqual(calls('window.showInformationMessage').map(call => call.args[0]), ['status 202']);
+  });
+
+  await t.test('http retries 5xx and 429 responses with a doubling delay, but not other 4xx', async (t) => {
+    const attempts = { '/flaky': [], '/busy': [], '/missing': [] };
+    const server = http.createServer((request, response) => {
+      const times = attempts[request.url];
+      times.push(Date.now());
+      if (request.url === '/flaky') { response.statusCode = times.length < 3 ? 503 : 200; }
+      else if (request.url === '/busy') { response.statusCode = times.length < 2 ? 429 : 204; }
+      else { response.statusCode = 404; }
+      response.end('sorry');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    const url = `http://127.0.0.1:${server.address().port}`;
+    const results = await actions(uri, [
+      { http: url + '/flaky', retries: 3, retryDelayMs: 50 },
+      { http: url + '/busy', retries: 1, retryDelayMs: 50 },
+      { http: url + '/missing', retries: 3, retryDelayMs: 50 },
+      { notify: 'status ${httpStatus}' }
+    ], {}, args());
+    assert.deepStrictEqual(results.map(result => result.ok), [true, true, false, true]);
+    assert.strictEqual(attempts['/flaky'].length, 3);
+    const [first, second, third] = attempts['/flaky'];
+    assert.ok(second - first >= 45 && third - second >= 95, `delays ${second - first} and ${third - second}`);
+    assert.strictEqual(attempts['/busy'].length, 2);
+    assert.strictEqual(attempts['/missing'].length, 1);
+    assert.deepStrictEqual(calls('window.showInformationMessage').map(call => call.args[0]), ['status 404']);
+    const lines = mock.outputLines('Notify On File');
+    assert.strictEqual(lines.filter(line => line === `[http] POST ${url}/flaky: HTTP 503 sorry`).length, 2);
+    assert.ok(lines.includes(`[http] POST ${url}/missing failed: HTTP 404`));
+  });
+
+  await t.test('http survives a large response body and a timeout in the body', async (t) => {
+    const server = http.createServer((request, response) => {
+      response.writeHead(request.url === '/large' ? 500 : 200);
+      if (request.url === '/large') { response.end('x'.repeat(1024 * 1024)); }
+      else { response.write('start of the body'); }  // and then nothing
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => { server.closeAllConnections(); server.close(); });
+    const url = `http://127.0.0.1:${server.address().port}`;
+    const results = await actions(uri, [
+      { http: url + '/large' },
+      { http: url + '/stalled', timeout: 200 }
+    ], {}, args());
+    assert.deepStrictEqual(results.map(result => result.ok), [false, false]);
+    assert.ok(mock.outputLines('Notify On File').includes(`[http] POST ${url}/stalled failed: timeout after 200ms`));
+  });
+
+  await t.test('exec', async () => {
+    const results = await actions(uri, [
+      { exec: 'node -e "console.log(process.argv[1])" ${fileBasename}' },
+      { exec: 'node -e "process.exit(3)"' },
+      { notify: 'exit ${exitCode}' }
+    ], {}, args());
+    assert.deepStrictEqual(results.map(result => result.ok), [true, false, true]);
+    assert.ok(mock.outputLines('Notify On File').some(line => line.includes('notes.md')));
+    assert.deepStrictEqual(calls('window.showInformationMessage').map(call => call.args[0]), ['exit 3']);
+  });
+
+  await t.test('exec quotes the values of the file and the event', async (t) => {
+    const hostile = workspace.file("workspace/a$(touch pwned)'; touch pwned2; '.md");
+    fs.writeFileSync(hostile, 'x');
+    t.after(() => fs.rmSync(hostile));
+    const results = await actions(mock.Uri.file(hostile), [
+      { exec: 'node -e "console.log(process.argv[1])" ${fileBasename} ${line|upper}' }
+    ], {}, Object.assign(args(), { line: '`touch pwned3`' }));
+    assert.strictEqual(results[0].ok, true);
+    assert.deepStrictEqual(fs.readdirSync(workspace.folder()).filter(name => name.startsWith('pwned')), []);
+    assert.ok(mock.outputLines('Notify On File').includes("a$(touch pwned)'; touch pwned2; '.md\n"));
+  });
+
+  await t.test('exec timeout kills the processes started by the shell', async () => {
+    const start = Date.now();
+    const results = await actions(uri, [{ exec: 'node -e "setTimeout(() => {}, 10000)"; echo done', timeout: 200 }], {}, args());
+    assert.strictEqual(results[0].ok, false);
+    assert.ok(Date.now() - start < 5000, 'the node process was killed with its shell');
+    assert.ok(!mock.outputLines('Notify On File').includes('done'));
+  });
+
+  await t.test('exec killPrevious kills the run that is still busy', async () => {
+    const action = { exec: 'node -e "setTimeout(() => {}, 10000)"', killPrevious: true, timeout: 3000 };
+    const first = actions(uri, [action], {}, args());
+    await settle(300);
+    // The same action object, like the next event of a watcher
+    const second = actions(uri, [Object.assign(action, { exec: 'node -e "process.exit(0)"' })], {}, args());
+    const start = Date.now();
+    assert.deepStrictEqual(await first, [{ action: 'exec', ok: false, error: 'exit code -1' }]);
+    assert.ok(Date.now() - start < 2000, 'the first run was killed');
+    assert.deepStrictEqual((await second).map(result => result.ok), [true]);
+    assert.ok(mock.outputLines('Notify On File').some(line => line.startsWith('[exec] killing previous run')));
+  });
+
+  await t.test('deactivate kills every run of an exec action', async () => {
+    const action = { exec: 'node -e "setTimeout(() => {}, 10000)"' };
+    const start = Date.now();
+    const runs = [actions(uri, [action], {}, args()), actions(uri, [action], {}, args())];
+    await settle(300);
+    extension.deactivate();
+    const results = await Promise.all(runs);
+    assert.deepStrictEqual(results.map(result => result[0].ok), [false, false]);
+    assert.ok(Date.now() - start < 5000, 'both runs were killed');
+  });
+
+  await t.test('when skips an action', async () => {
+    const results = await actions(uri, [
+      { notify: 'small', when: { sizeLessThan: 100 } },
+      { notify: 'large', when: { sizeGreaterThan: 100 } }
+    ], {}, args());
+    assert.deepStrictEqual(results.map(result => !!result.skipped), [false, true]);
+    assert.deepStrictEqual(calls('window.showInformationMessage').map(call => call.args[0]), ['small']);
+  });
+
+  await t.test('errors go to the output channel', async () => {
+    const results = await actions(uri, [{ runCommand: 'notify-on-file.test.fail' }], {}, args());
+    mock.registeredCommands['notify-on-file.test.fail'] = () => { throw new Error('failed'); };
+    const failed = await actions(uri, [{ runCommand: 'notify-on-file.test.fail' }], {}, args());
+    delete mock.registeredCommands['notify-on-file.test.fail'];
+    assert.strictEqual(results[0].ok, true);
+    assert.deepStrictEqual(failed, [{ action: 'runCommand', ok: false, error: 'failed' }]);
+    assert.deepStrictEqual(mock.outputLines('Notify On File'), ['[error] notify-on-file runCommand error: failed']);
+    assert.deepStrictEqual(calls('window.showErrorMessage'), []);
+  });
+});
@@ -0,0 +1,160 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { mock, settle, createWorkspace, activate, deactivate, calls, workspaceState } = require('./harness');
+
+/** The messages of the information notifications shown so far, sorted. */
+function notifications() { return calls('window.showInformationMessage').map(call => call.args[0]).sort(); }
+
+/** A watcher of the *.log files in the share directory with a notification for every event. */
+function logWatcher(workspace, options) {
+  return Object.assign({
+    name: 'logs', path: workspace.file('share'), globPattern: '**/*.log',
+    onCreate: [{ notify: 'create ${fileBasename}' }],
+    onChange: [{ notify: 'change ${fileBasename}' }],
+    onDelete: [{ notify: 'delete ${fileBasename}' }]
+  }, options);
+}
+
+test('watcher backends', async (t) => {
+  const workspace = createWorkspace(['workspace'], { 'share/a.log': 'a\n', 'share/old/b.log': 'b\n' });
+  t.after(() => workspace.remove());
+  t.beforeEach(() => {
+    workspaceState.clear();
+    workspace.write('share/a.log', 'a\n');
+    workspace.write('share/old/b.log', 'b\n');
+    fs.rmSync(workspace.file('share/new'), { recursive: true, force: true });
+  });
+  t.afterEach(() => deactivate());
+
+  await t.test('fs reports create, change and delete events', async () => {
+    await activate({ 'notify-on-file.watchers': [logWatcher(workspace, { backend: 'fs' })] });
+    assert.strictEqual(mock.fileSystemWatchers.length, 0);
+    workspace.write('share/new/c.log', 'c\n');
+    workspace.write('share/a.log', 'a\nmore\n');
+    fs.rmSync(workspace.file('share/old/b.log'));
+    workspace.write('share/notes.txt', 'not watched');
+    await settle(300);
+    assert.deepStrictEqual(notifications(), ['change a.log', 'create c.log', 'delete b.log']);
+  });
+
+  await t.test('fs watches every directory if recursive fs.watch is not available', async (t) => {
+    // Like Node 18 and older on Linux
+    const watch = fs.watch;
+    t.mock.method(fs, 'watch', (dir, options, listener) => {
+      if (options && options.recursive) {
+        throw Object.assign(new Error('recursive watch unavailable'), { code: 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM' });
+      }
+      return watch(dir, options, listener);
+    });
+    await activate({ 'notify-on-file.watchers': [logWatcher(workspace, { backend: 'fs' })] });
+    workspace.write('share/a.log', 'a\nmore\n');
+    workspace.write('share/old/b.log', 'b\nmore\n');
+    workspace.write('share/new/c.log', 'c\n');
+    await settle(300);
+    workspace.write('share/new/deeper/d.log', 'd\n');
+    await settle(300);
+    fs.rmSync(workspace.file('share/new'), { recursive: true });
+    await settle(300);
+    assert.deepStrictEqual(notifications(), ['change a.log', 'change b.log', 'create c.log', 'create d.log', 'delete c.log', 'delete d.log']);
+    assert.ok(mock.outputLines('Notify On File').some(line => line.startsWith('[fs] recursive fs.watch is not available')));
+  });
+
+  await t.test('fs reports a file replaced by a rename as a change', async () => {
+    await activate({ 'notify-on-file.watchers': [logWatcher(workspace, { backend: 'fs' })] });
+    workspace.write('share/a.tmp', 'replaced\n');
+    fs.renameSync(workspace.file('share/a.tmp'), workspace.file('share/a.log'));
+    await settle(300);
+    assert.deepStrictEqual(notifications(), ['change a.log']);
+  });
+
+  await t.test('poll compares the files every pollIntervalMs', async () => {
+    await activate({ 'notify-on-file.watchers': [logWatcher(workspace, { backend: 'poll', pollIntervalMs: 100 })] });
+    assert.strictEqual(mock.fileSystemWatchers.length, 0);
+    assert.deepStrictEqual(notifications(), []);
+    workspace.write('share/c.log', 'c\n');
+    workspace.write('share/a.log', 'a\nmore\n');
+    fs.rmSync(workspace.file('share/old/b.log'));
+    await settle(300);
+    assert.deepStrictEqual(notifications(), ['change a.log', 'create c.log', 'delete b.log']);
+    fs.rmSync(workspace.file('share/c.log'));
+  });
+
+  await t.test('poll reports the changes made while VS Code was closed', async () => {
+    const settings = { 'notify-on-file.watchers': [logWatcher(workspace, { backend: 'poll', pollIntervalMs: 100 })] };
+    await activate(settings);
+    deactivate();
+    workspace.write('share/a.log', 'a\nwritten while closed\n');
+    fs.rmSync(workspace.file('share/old/b.log'));
+    await activate(settings);
+    await settle();
+    assert.deepStrictEqual(notifications(), ['change a.log', 'delete b.log']);
+  });
+
+  await t.test('poll skips excluded directories', async () => {
+    await activate({ 'notify-on-file.watchers': [logWatcher(workspace, { backend: 'poll', pollIntervalMs: 100, exclude: ['**/node_modules/**'] })] });
+    workspace.write('share/node_modules/pkg/x.log', 'x\n');
+    workspace.write('share/c.log', 'c\n');
+    await settle(300);
+    assert.deepStrictEqual(notifications(), ['create c.log']);
+    fs.rmSync(workspace.file('share/node_modules'), { recursive: true });
+    fs.rmSync(workspace.file('share/c.log'));
+  });
+
+  await t.test('the scans read only the directories the glob reaches', async (t) => {
+    const readdir = t.mock.method(fs.promises, 'readdir');
+    const scanned = () => [...new Set(readdir.mock.calls.map(call => call.arguments[0]))].sort();
+    await activate({ 'notify-on-file.watchers': [logWatcher(workspace, { backend: 'poll', pollIntervalMs: 100, globPattern: '*.log' })] });
+    await settle(150);
+    assert.deepStrictEqual(scanned(), [workspace.file('share')]);
+
+    deactivate();
+    readdir.mock.resetCalls();
+    workspace.write('share/new/c.log', 'c\n');
+    await activate({ 'notify-on-file.watchers': [logWatcher(workspace, { backend: 'fs', globPattern: 'old/*.log' })] });
+    await settle(150);
+    assert.deepStrictEqual(scanned(), [workspace.file('share'), workspace.file('share/old')]);
+  });
+
+  await t.test('the scans skip the directories of files.exclude and .gitignore', async (t) => {
+    workspace.write('workspace/.gitignore', 'build/\n');
+    workspace.write('workspace/build/a.log', 'a\n');
+    workspace.write('workspace/tmp/b.log', 'b\n');
+    workspace.write('workspace/src/c.log', 'c\n');
+    t.after(() => ['.gitignore', 'build', 'tmp', 'src'].forEach(name => fs.rmSync(workspace.file(`workspace/${name}`), { recursive: true })));
+    const readdir = t.mock.method(fs.promises, 'readdir');
+    await activate({
+      'files.exclude': { '**/tmp': true },
+      'notify-on-file.watchers': [{ path: '${workspaceFolder}', globPattern: '**/*.log', backend: 'poll', pollIntervalMs: 100,
+        useFilesExclude: true, useGitignore: true, onCreate: [{ notify: 'create ${relativeFile}' }] }]
+    });
+    workspace.write('workspace/build/d.log', 'd\n');
+    workspace.write('workspace/tmp/e.log', 'e\n');
+    workspace.write('workspace/src/f.log', 'f\n');
+    await settle(300);
+    assert.deepStrictEqual(notifications(), ['create src/f.log']);
+    const scanned = new Set(readdir.mock.calls.map(call => call.arguments[0]));
+    assert.deepStrictEqual([...scanned].sort(), [workspace.folder(), workspace.file('workspace/src')]);
+  });
+
+  await t.test('poll goes on after a failed scan', async () => {
+    await activate({ 'notify-on-file.watchers': [logWatcher(workspace, { backend: 'poll', pollIntervalMs: 100 })] });
+    fs.renameSync(workspace.file('share'), workspace.file('share-offline'));
+    await settle(300);
+    fs.renameSync(workspace.file('share-offline'), workspace.file('share'));
+    workspace.write('share/c.log', 'c\n');
+    await settle(300);
+    assert.deepStrictEqual(notifications(), ['create c.log']);
+    const errors = mock.outputLines('Notify On File').filter(line => line.startsWith('[error]'));
+    assert.strictEqual(errors.length, 1);
+    assert.match(errors[0], /can't scan .*share: ENOENT/);
+    fs.rmSync(workspace.file('share/c.log'));
+  });
+
+  await t.test('without path the glob is watched in every workspace folder', async () => {
+    await activate({ 'notify-on-file.watchers': [{ globPattern: '*.txt', backend: 'poll', pollIntervalMs: 100, onCreate: [{ notify: '${relativeFile}' }] }] });
+    workspace.write('workspace/new.txt', 'new');
+    await settle(300);
+    assert.deepStrictEqual(notifications(), ['new.txt']);
+  });
+});
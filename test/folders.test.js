@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const { mock, settle, createWorkspace, activate, deactivate, calls } = require('./harness');
+
+/** The messages of the information notifications shown so far. */
+function notifications() { return calls('window.showInformationMessage').map(call => call.args[0]).sort(); }
+
+test('workspace folder watchers', async (t) => {
+  const workspace = createWorkspace(['one', 'two'], { 'one/a.txt': 'a', 'two/b.txt': 'b', 'three/c.txt': 'c' });
+  t.after(() => workspace.remove());
+  t.beforeEach(() => mock.setWorkspaceFolders([
+    { name: 'one', path: workspace.folder('one') }, { name: 'two', path: workspace.folder('two') }
+  ], workspace.file('test.code-workspace')));
+  t.afterEach(() => deactivate());
+  const folderWatcher = text => ({ path: '${workspaceFolder}', globPattern: '*.txt', onChange: [{ notify: text }] });
+
+  await t.test('creates the watchers of a folder for that folder', async () => {
+    await activate({}, { one: { 'notify-on-file.watchers': [folderWatcher('one ${relativeFile}')] } });
+    assert.deepStrictEqual(mock.fileSystemWatchers.map(w => w.globPattern.base), [workspace.folder('one')]);
+    mock.fireFileEvent('change', workspace.file('one/a.txt'));
+    await settle();
+    assert.deepStrictEqual(notifications(), ['one a.txt']);
+  });
+
+  await t.test('copies a perFolder watcher into every folder', async () => {
+    await activate({ 'notify-on-file.watchers': [
+      Object.assign(folderWatcher('${workspaceFolderBasename}: ${relativeFile}'), { name: 'txt', perFolder: true }),
+      { name: 'shared', path: '${workspaceFolder:two}', globPattern: '*.txt', onChange: [{ notify: 'shared ${relativeFile}' }] }
+    ] });
+    assert.deepStrictEqual(mock.fileSystemWatchers.map(w => w.globPattern.base).sort(),
+      [workspace.folder('one'), workspace.folder('two'), workspace.folder('two')]);
+    mock.fireFileEvent('change', workspace.file('one/a.txt'));
+    mock.fireFileEvent('change', workspace.file('two/b.txt'));
+    await settle();
+    assert.deepStrictEqual(notifications(), ['one: a.txt', 'shared b.txt', 'two: b.txt']);
+  });
+
+  await t.test('pauses one folder copy of a perFolder watcher', async () => {
+    await activate({ 'notify-on-file.watchers': [
+      Object.assign(folderWatcher('${workspaceFolderBasename}: ${relativeFile}'), { name: 'txt', perFolder: true }),
+      { globPattern: '*.txt', onChange: [{ notify: 'first' }] },
+      { globPattern: '*.txt', onChange: [{ notify: 'second' }] }
+    ] });
+    mock.answers.push('one: txt');
+    await mock.commands.executeCommand('notify-on-file.pauseWatcher');
+    assert.deepStrictEqual(calls('window.showQuickPick').map(call => call.args[0]), [['*.txt', '*.txt (2)', 'one: txt', 'two: txt']]);
+    mock.fireFileEvent('change', workspace.file('one/a.txt'));
+    mock.fireFileEvent('change', workspace.file('two/b.txt'));
+    await settle();
+    assert.deepStrictEqual(notifications().filter(message => message.includes(':')), ['two: b.txt']);
+
+    // A name given as argument pauses every watcher with that name
+    mock.reset();
+    await mock.commands.executeCommand('notify-on-file.resumeWatcher', 'one: txt');
+    await mock.commands.executeCommand('notify-on-file.pauseWatcher', 'txt');
+    mock.fireFileEvent('change', workspace.file('one/a.txt'));
+    mock.fireFileEvent('change', workspace.file('two/b.txt'));
+    await settle();
+    assert.deepStrictEqual(notifications().filter(message => message.includes(':')), []);
+    await mock.commands.executeCommand('notify-on-file.resumeAll');
+  });
+
+  await t.test('adding and removing a folder changes only the watchers of that folder', async () => {
+    fs.mkdirSync(workspace.folder('three'), { recursive: true });
+    await activate({ 'notify-on-file.watchers': [Object.assign(folderWatcher('copy ${relativeFile}'), { perFolder: true })] }, {
+      one: { 'notify-on-file.watchers': [folderWatcher('one ${relativeFile}')] },
+      three: { 'notify-on-file.watchers': [folderWatcher('three ${relativeFile}')] }
+    });
+    const before = mock.fileSystemWatchers.slice();
+    mock.changeWorkspaceFolders([{ name: 'three', path: workspace.folder('three') }], ['two']);
+    await settle();
+    const bases = mock.fileSystemWatchers.map(w => w.globPattern.base).sort();
+    assert.deepStrictEqual(bases, [workspace.folder('one'), workspace.folder('one'), workspace.folder('three'), workspace.folder('three')]);
+    // The watchers of folder one were not recreated
+    assert.ok(before.filter(w => w.globPattern.base === workspace.folder('one')).every(w => mock.fileSystemWatchers.includes(w)));
+    mock.fireFileEvent('change', workspace.file('three/c.txt'));
+    mock.fireFileEvent('change', workspace.file('two/b.txt'));
+    await settle();
+    assert.deepStrictEqual(notifications(), ['copy c.txt', 'three c.txt']);
+  });
+
+  await t.test('reports problems with the folder name', async () => {
+    await activate({}, { two: { 'notify-on-file.watchers': [{ name: 'bad', globPattern: '*.txt', onChang: [] }] } });
+    const report = mock.outputLines('Notify On File').filter(line => line.startsWith('[config]   '));
+    assert.deepStrictEqual(report, ['[config]   two: watchers[0] (bad): unknown property "onChang", did you mean "onChange"?']);
+  });
+
+  await t.test('a single folder workspace has no separate folder settings', async () => {
+    mock.setWorkspaceFolders([{ name: 'one', path: workspace.folder('one') }]);
+    await activate({ 'notify-on-file.watchers': [folderWatcher('${relativeFile}')] },
+      { one: { 'notify-on-file.watchers': [folderWatcher('ignored')] } });
+    assert.deepStrictEqual(mock.fileSystemWatchers.map(w => path.basename(w.globPattern.base)), ['one']);
+  });
+});
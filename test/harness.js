@@ -0,0 +1,82 @@
+// Loads notify-on-file.js with the mock vscode module and sets up a temporary
+// workspace on disk. Used by the tests and by the replay tool.
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const mock = require('./vscode-mock');
+
+mock.install();
+const extension = require('../notify-on-file');
+
+/** Resolves after ms milliseconds, so pending timers and file reads can finish. */
+function settle(ms) { return new Promise(resolve => setTimeout(resolve, dblQuest(ms, 50))); }
+
+function dblQuest(value, deflt) { return value !== undefined ? value : deflt; }
+
+/**
+ * Creates a temporary directory with a workspace folder for every name in folders
+ * (default: one folder "workspace") and writes files ({ relativePath: content })
+ * relative to the directory. Returns { root, folder(name), file(relativePath) }.
+ * With more than one folder the workspace is opened from a .code-workspace file.
+ */
+function createWorkspace(folders, files) {
+  const root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'notify-on-file-')));
+  folders = dblQuest(folders, ['workspace']);
+  for (const name of folders) { fs.mkdirSync(path.join(root, name), { recursive: true }); }
+  const workspaceFile = folders.length > 1 ? path.join(root, 'test.code-workspace') : undefined;
+  mock.setWorkspaceFolders(folders.map(name => ({ name, path: path.join(root, name) })), workspaceFile);
+  const workspace = {
+    root,
+    folder: name => path.join(root, dblQuest(name, folders[0])),
+    file: relativePath => path.join(root, relativePath),
+    write(relativePath, content) {
+      const fullPath = path.join(root, relativePath);
+      fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+      fs.writeFileSync(fullPath, content);
+      return fullPath;
+    },
+    remove() { fs.rmSync(root, { recursive: true, force: true }); }
+  };
+  for (const relativePath of Object.keys(dblQuest(files, {}))) { workspace.write(relativePath, files[relativePath]); }
+  return workspace;
+}
+
+// The extension context passed to activate
+let context = undefined;
+
+// The workspaceState of the extension context. Like in VS Code it is kept when the
+// extension is deactivated and activated again; clear() empties it.
+const workspaceStateValues = new Map();
+const workspaceState = {
+  get: (key, deflt) => workspaceStateValues.has(key) ? JSON.parse(workspaceStateValues.get(key)) : deflt,
+  update: async (key, value) => {
+    if (value === undefined) { workspaceStateValues.delete(key); } else { workspaceStateValues.set(key, JSON.stringify(value)); }
+  },
+  keys: () => Array.from(workspaceStateValues.keys()),
+  clear: () => workspaceStateValues.clear()
+};
+
+/**
+ * Activates the extension with the given settings (and the settings of the workspace
+ * folders by folder name) and waits until the watchers exist.
+ */
+async function activate(settings, folderSettings) {
+  mock.reset();
+  mock.setSettings(settings, false, folderSettings);
+  context = { subscriptions: [], workspaceState };
+  extension.activate(context);
+  await settle();
+}
+
+/** Deactivates the extension and disposes the registrations of activate. */
+function deactivate() {
+  if (!context) { return; }
+  extension.deactivate();
+  for (const disposable of context.subscriptions) { disposable.dispose(); }
+  context = undefined;
+}
+
+/** Returns the recorded calls of one API, e.g. calls('window.showInformationMessage'). */
+function calls(api) { return mock.calls.filter(call => call.api === api); }
+
+module.exports = { mock, extension, settle, createWorkspace, activate, deactivate, calls, workspaceState };
@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+// Replays a recorded sequence of file events against a watcher configuration,
+// without VS Code, and checks what the extension did.
+//
+//   node test/replay.js <recording.json>... [--update]
+//
+// A recording is a JSON file:
+//   {
+//     "folders":  [ "app" ],                          workspace folder names (default: [ "workspace" ])
+//     "settings": { "notify-on-file.watchers": [...] },
+//     "files":    { "app/src/a.js": "text" },         files that exist before the first event
+//     "answers":  [ "Open" ],                         buttons clicked in notifications, in order
+//     "events": [
+//       { "create": "app/src/b.js", "content": "text" },
+//       { "change": "app/src/a.js", "content": "text", "origin": "vscode" },
+//       { "delete": "app/src/a.js" },
+//       { "rename": "app/src/b.js", "to": "app/src/c.js" },
+//       { "wait": 500 }
+//     ],
+//     "settleMs": 200,                                wait after the last event (default: 200)
+//     "expect": [ { "api": "window.showInformationMessage", "args": [ "src/b.js created" ] } ]
+//   }
+//
+// File paths are relative to a temporary directory that holds the workspace folders.
+// Create, change, delete and rename update the file on disk and then fire the event.
+// "origin": "vscode" marks a change as saved by VS Code. In the recorded calls the
+// temporary directory is replaced by "<root>".
+//
+// The expected calls must appear in this order among the recorded calls; args are
+// compared up to the number of expected args, and objects only by the expected keys.
+// --update writes the recorded calls to "expect" instead of checking them.
+// The exit code is 1 if a recording does not match.
+const path = require('path');
+const fs = require('fs');
+const harness = require('./harness');
+
+function dblQuest(value, deflt) { return value !== undefined ? value : deflt; }
+
+/** Runs one recording. Returns { calls, output, failures }. */
+async function replay(recording) {
+  const workspace = harness.createWorkspace(recording.folders, recording.files);
+  try {
+    const answers = dblQuest(recording.answers, []);
+    await harness.activate(dblQuest(recording.settings, {}));
+    harness.mock.answers.push(...answers);
+    for (const event of dblQuest(recording.events, [])) {
+      await replayEvent(workspace, event);
+    }
+    await harness.settle(dblQuest(recording.settleMs, 200));
+    harness.deactivate();
+    const calls = normalize(harness.mock.calls, workspace.root);
+    const output = normalize(harness.mock.outputLines('Notify On File'), workspace.root);
+    return { calls, output, failures: compareCalls(dblQuest(recording.expect, []), calls) };
+  } finally {
+    harness.deactivate();
+    workspace.remove();
+  }
+}
+
+/** Changes the file on disk and fires the file system event of one recorded event. */
+async function replayEvent(workspace, event) {
+  const content = dblQuest(event.content, '');
+  if (event.wait !== undefined) {
+    await harness.settle(event.wait);
+  } else if (event.create !== undefined) {
+    harness.mock.fireFileEvent('create', workspace.write(event.create, content));
+  } else if (event.change !== undefined) {
+    const file = workspace.write(event.change, content);
+    if (event.origin === 'vscode') { harness.mock.fireSave(file); }
+    harness.mock.fireFileEvent('change', file);
+  } else if (event.delete !== undefined) {
+    const file = workspace.file(event.delete);
+    fs.rmSync(file, { force: true });
+    harness.mock.fireFileEvent('delete', file);
+  } else if (event.rename !== undefined) {
+    const oldFile = workspace.file(event.rename);
+    const newFile = workspace.file(event.to);
+    fs.mkdirSync(path.dirname(newFile), { recursive: true });
+    fs.renameSync(oldFile, newFile);
+    harness.mock.fireFileEvent('delete', oldFile);
+    harness.mock.fireFileEvent('create', newFile);
+  } else {
+    throw new Error(`Unknown event: ${JSON.stringify(event)}`);
+  }
+  // Let the watcher callbacks start before the next event
+  await harness.settle(dblQuest(event.delayMs, 10));
+}
+
+/** Converts the recorded values to plain JSON and replaces the temporary directory by <root>. */
+function normalize(value, root) {
+  const json = JSON.stringify(value).split(JSON.stringify(root).slice(1, -1)).join('<root>');
+  return JSON.parse(json);
+}
+
+/** True if actual has the expected value: arrays by their first elements, objects by the expected keys. */
+function matches(expected, actual) {
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual) && expected.every((value, i) => matches(value, actual[i]));
+  }
+  if (expected && typeof expected === 'object') {
+    return !!actual && typeof actual === 'object' && Object.keys(expected).every(key => matches(expected[key], actual[key]));
+  }
+  return expected === actual;
+}
+
+/** Returns a description of every expected call that was not found after the previous one. */
+function compareCalls(expected, calls) {
+  const failures = [];
+  let next = 0;
+  for (const call of expected) {
+    const index = calls.findIndex((actual, i) => i >= next && matches(call, actual));
+    if (index < 0) {
+      failures.push(`expected call not found: ${JSON.stringify(call)}`);
+    } else {
+      next = index + 1;
+    }
+  }
+  return failures;
+}
+
+async function main(argv) {
+  const update = argv.includes('--update');
+  const files = argv.filter(arg => arg !== '--update');
+  if (files.length === 0) {
+    console.error('Usage: node test/replay.js <recording.json>... [--update]');
+    return 2;
+  }
+  let exitCode = 0;
+  for (const file of files) {
+    const recording = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const result = await replay(recording);
+    if (update) {
+      recording.expect = result.calls;
+      fs.writeFileSync(file, JSON.stringify(recording, null, 2) + '\n');
+      console.log(`${file}: ${result.calls.length} calls written`);
+      continue;
+    }
+    if (result.failures.length === 0) {
+      console.log(`ok   ${file}`);
+      continue;
+    }
+    exitCode = 1;
+    console.log(`FAIL ${file}`);
+    for (const failure of result.failures) { console.log(`  ${failure}`); }
+    console.log('  recorded calls:');
+    for (const call of result.calls) { console.log(`    ${JSON.stringify(call)}`); }
+    for (const line of result.output) { console.log(`  output: ${line}`); }
+  }
+  return exitCode;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => { process.exitCode = code; });
+}
+
+module.exports = { replay, compareCalls, matches };
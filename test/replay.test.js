@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const { replay, compareCalls } = require('./replay');
+
+const recordingsDir = path.join(__dirname, 'recordings');
+
+test('recordings', async (t) => {
+  for (const name of fs.readdirSync(recordingsDir).filter(name => name.endsWith('.json'))) {
+    await t.test(name, async () => {
+      const recording = JSON.parse(fs.readFileSync(path.join(recordingsDir, name), 'utf8'));
+      const result = await replay(recording);
+      assert.deepStrictEqual(result.failures, []);
+    });
+  }
+});
+
+test('compareCalls', async (t) => {
+  const calls = [
+    { api: 'window.showInformationMessage', args: ['a.txt created', 'Open'] },
+    { api: 'commands.executeCommand', args: ['test.command', { file: 'a.txt', line: 1 }] }
+  ];
+
+  await t.test('matches expected calls in order, by their first args and expected keys', () => {
+    assert.deepStrictEqual(compareCalls([
+      { api: 'window.showInformationMessage', args: ['a.txt created'] },
+      { api: 'commands.executeCommand', args: ['test.command', { file: 'a.txt' }] }
+    ], calls), []);
+  });
+
+  await t.test('reports missing and out of order calls', () => {
+    assert.strictEqual(compareCalls([
+      { api: 'commands.executeCommand' },
+      { api: 'window.showInformationMessage' }
+    ], calls).length, 1);
+    assert.strictEqual(compareCalls([{ api: 'window.showErrorMessage' }], calls).length, 1);
+  });
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { mock, settle, createWorkspace, activate, deactivate, calls } = require('./harness');
+
+/** The messages of the information notifications shown so far. */
+function notifications() { return calls('window.showInformationMessage').map(call => call.args[0]); }
+
+test('tail mode', async (t) => {
+  const workspace = createWorkspace(['workspace']);
+  t.after(() => workspace.remove());
+  t.beforeEach(() => workspace.write('workspace/server.log', 'ERROR old at start\n'));
+  t.afterEach(() => deactivate());
+  const log = workspace.file('workspace/server.log');
+
+  /** Appends text to the log and reports the change like a file system watcher. */
+  const append = async (text, eventType = 'change') => {
+    fs.appendFileSync(log, text);
+    mock.fireFileEvent(eventType, log);
+    await settle();
+  };
+
+  await t.test('runs the actions for every new line that matches include', async () => {
+    await activate({ 'notify-on-file.watchers': [{ globPattern: '*.log', tail: { include: 'ERROR (?<message>.*) at (\\w+)' },
+      onChange: [{ notify: '${match:message} in ${match:2|upper}: ${line}' }] }] });
+    await append('INFO started\nERROR boom at parser\nERROR bang at lexer\n');
+    assert.deepStrictEqual(notifications(), ['boom in PARSER: ERROR boom at parser', 'bang in LEXER: ERROR bang at lexer']);
+    mock.reset();
+    await append('INFO still running\n');
+    assert.deepStrictEqual(notifications(), []);
+  });
+
+  await t.test('the when condition is checked once for all new lines', async (t) => {
+    await activate({ 'notify-on-file.watchers': [{ globPattern: '*.log', tail: true, when: { contentMatches: 'ERROR' },
+      onChange: [{ notify: '${line}' }] }] });
+    const readFile = t.mock.method(mock.workspace.fs, 'readFile');
+    await append('one\ntwo\nthree\n');
+    assert.strictEqual(readFile.mock.callCount(), 1);
+    assert.deepStrictEqual(notifications(), ['one', 'two', 'three']);
+  });
+
+  await t.test('a ${...} in a line is not resolved', async () => {
+    process.env.NOTIFY_ON_FILE_SECRET = 'hunter2';
+    await activate({ 'notify-on-file.watchers': [{ globPattern: '*.log', tail: { include: 'sent (.*)' },
+      onChange: [{ notify: 'alert: ${line} / ${match:1}' }] }] });
+    await append('user sent ${env:NOTIFY_ON_FILE_SECRET}\n');
+    assert.deepStrictEqual(notifications(), ['alert: user sent ${env:NOTIFY_ON_FILE_SECRET} / ${env:NOTIFY_ON_FILE_SECRET}']);
+  });
+
+  await t.test('the existing files are looked up with the excludes, but not search.exclude', async () => {
+    await activate({
+      'files.exclude': { '**/.git': true },
+      'search.exclude': { '**/node_modules': true, '**/dist': false },
+      'notify-on-file.watchers': [{ globPattern: '**/*.log', exclude: ['tmp/**'], tail: true, onChange: [{ notify: '${line}' }] }]
+    });
+    assert.deepStrictEqual(calls('workspace.findFiles').map(call => call.args[1]), ['{tmp/**,**/.git}']);
+  });
+
+  await t.test('a file that was not looked up is read from its end', async () => {
+    await activate({
+      'files.exclude': { '**/server.log': true },
+      'notify-on-file.watchers': [{ globPattern: '*.log', tail: true, onChange: [{ notify: '${line}' }] }]
+    });
+    await append('first new line\n');
+    await append('second new line\n');
+    assert.deepStrictEqual(notifications(), ['second new line']);
+  });
+
+  await t.test('batch runs the actions once for the lines that are not excluded', async () => {
+    await activate({ 'notify-on-file.watchers': [{ globPattern: '*.log', tail: { exclude: '^DEBUG', batch: true },
+      onChange: [{ notify: '${lineCount}: ${lines|replace:\n:, }' }] }] });
+    await append('one\nDEBUG two\nthree\n');
+    assert.deepStrictEqual(notifications(), ['2: one, three']);
+  });
+
+  await t.test('an incomplete line is read when it is complete', async () => {
+    await activate({ 'notify-on-file.watchers': [{ globPattern: '*.log', tail: true, onChange: [{ notify: '${line}' }] }] });
+    await append('half');
+    await append(' and the rest\r\n');
+    assert.deepStrictEqual(notifications(), ['half and the rest']);
+  });
+
+  await t.test('a truncated or rotated file is read from the start', async () => {
+    await activate({ 'notify-on-file.watchers': [{ globPattern: '*.log', tail: true, onChange: [{ notify: '${line}' }] }] });
+    fs.writeFileSync(log, '');
+    await append('after truncate\n');
+    fs.renameSync(log, log + '.1');
+    await append('rotated file with a longer first line\n');
+    fs.rmSync(log + '.1');
+    assert.deepStrictEqual(notifications(), ['after truncate', 'rotated file with a longer first line']);
+  });
+
+  await t.test('a created file is read from the start', async () => {
+    await activate({ 'notify-on-file.watchers': [{ globPattern: '*.log', tail: true, onChange: [{ notify: '${line}' }] }] });
+    fs.rmSync(log);
+    mock.fireFileEvent('delete', log);
+    await append('first line\n', 'create');
+    assert.deepStrictEqual(notifications(), ['first line']);
+  });
+});
@@ -0,0 +1,169 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { mock, settle, createWorkspace, activate, deactivate, calls } = require('./harness');
+
+/** The problems of the configuration report in the output channel. */
+function problems() {
+  return mock.outputLines('Notify On File').filter(line => line.startsWith('[config]   ')).map(line => line.substring(11));
+}
+
+test('configuration validation', async (t) => {
+  const workspace = createWorkspace(['workspace'], { 'workspace/a.txt': 'a' });
+  t.after(() => workspace.remove());
+  t.afterEach(() => deactivate());
+
+  await t.test('a valid configuration has no report', async () => {
+    await activate({ 'notify-on-file.watchers': [{
+      name: 'txt', path: '${workspaceFolder}', globPatterns: ['**/*.{txt,md}'], exclude: ['out/**'],
+      pathRegex: '^(?<dir>[^/]+)/', when: { not: { sizeGreaterThan: 1000 } },
+      onChange: [
+        { showStatusBarItem: 'txt', text: '${count}', color: 'charts.red', backgroundColor: 'statusBarItem.warningBackground' },
+        { notify: 'changed', buttons: [{ label: 'Save', actions: [{ autoSave: true, onDirty: 'ask' }] }] }
+      ]
+    }] });
+    assert.deepStrictEqual(mock.outputLines('Notify On File'), []);
+    assert.deepStrictEqual(calls('window.showWarningMessage'), []);
+  });
+
+  await t.test('reports unknown keys with the key that was probably meant', async () => {
+    await activate({ 'notify-on-file.watchers': [{
+      name: 'typos', globPattern: '**/*.txt',
+      onchange: [{ notify: 'changed' }],
+      onCreate: [{ showStatusbarItem: 'item' }, { notify: 'created', openLable: 'Open' }]
+    }] });
+    assert.deepStrictEqual(problems(), [
+      'watchers[0] (typos): unknown property "onchange", did you mean "onChange"?',
+      'watchers[0] (typos).onCreate[0]: unknown property "showStatusbarItem", did you mean "showStatusBarItem"?',
+      'watchers[0] (typos).onCreate[1]: unknown property "openLable", did you mean "openLabel"?',
+      'watchers[0] (typos).onCreate[0]: no action, use one of showStatusBarItem, removeStatusBarItem, notify, autoSave, revert, runCommand, diff, log, http, exec'
+    ]);
+  });
+
+  await t.test('reports wrong types and values', async () => {
+    await activate({ 'notify-on-file.watchers': [
+      { globPattern: '**/*.txt', debounceMs: -1, onDelete: [
+        { notify: 'deleted', severity: 'loud', buttons: [{ label: 'Run', actions: [{ exec: 1 }] }] }
+      ] },
+      'not a watcher'
+    ] });
+    assert.deepStrictEqual(problems(), [
+      'watchers[0].debounceMs: -1 is less than 0',
+      'watchers[0].onDelete[0].severity: "loud" is not one of "info", "warning", "error", "modal"',
+      'watchers[0].onDelete[0].buttons[0].actions[0].exec: expected string, found number',
+      'watchers[0]: not created, fix the values of the wrong type',
+      'watchers[1]: expected object, found string'
+    ]);
+  });
+
+  await t.test('skips watchers with values of the wrong type and creates the others', async () => {
+    await activate({ 'notify-on-file.watchers': [
+      { name: 'path', path: 5, globPattern: '*.txt', onChange: [{ notify: 'path' }] },
+      { name: 'globs', globPatterns: ['**/*.md', 7], onChange: [{ notify: 'globs' }] },
+      { name: 'number', globPattern: '**/*.txt', exclude: 5, onChange: [{ notify: 'number' }] },
+      { name: 'string', globPattern: '**/*.txt', exclude: 'dist/**', onChange: [{ notify: 'string' }] },
+      { name: 'good', globPattern: '**/*.txt', onChange: [{ notify: 'good' }] }
+    ] });
+    assert.deepStrictEqual(problems(), [
+      'watchers[0] (path).path: expected string, found number',
+      'watchers[0] (path): not created, fix the values of the wrong type',
+      'watchers[1] (globs).globPatterns[1]: expected string, found number',
+      'watchers[1] (globs): not created, fix the values of the wrong type',
+      'watchers[2] (number).exclude: expected array, found number',
+      'watchers[2] (number): not created, fix the values of the wrong type',
+      'watchers[3] (string).exclude: expected array, found string',
+      'watchers[3] (string): not created, fix the values of the wrong type'
+    ]);
+    assert.strictEqual(mock.fileSystemWatchers.length, 1);
+    mock.fireFileEvent('change', workspace.file('workspace/a.txt'));
+    await settle();
+    assert.deepStrictEqual(calls('window.showInformationMessage').map(call => call.args[0]), ['good']);
+  });
+
+  await t.test('reports bad globs, regular expressions and theme colors', async () => {
+    await activate({ 'notify-on-file.watchers': [{
+      globPatterns: ['src/{a,b', 'src\\*.js'], exclude: ['[abc'], pathRegex: '(',
+      when: { or: [{ contentMatches: '[' }, { sizeGreaterThen: 1 }] },
+      onChange: [{ showStatusBarItem: 'x', color: '#ff0000' }, { showStatusBarItem: 'y', color: 'editorError.foreground' }]
+    }] });
+    assert.deepStrictEqual(problems(), [
+      'watchers[0].globPatterns[0]: unbalanced { } in glob pattern "src/{a,b"',
+      'watchers[0].globPatterns[1]: use / as path separator in glob pattern "src\\*.js"',
+      'watchers[0].exclude[0]: unbalanced [ ] in glob pattern "[abc"',
+      'watchers[0].pathRegex: Invalid regular expression: /(/: Unterminated group',
+      'watchers[0].when.or[0].contentMatches: Invalid regular expression: /[/: Unterminated character class',
+      'watchers[0].when.or[1]: unknown property "sizeGreaterThen", did you mean "sizeGreaterThan"?',
+      'watchers[0].onChange[0].color: "#ff0000" is not a theme color id'
+    ]);
+  });
+
+  await t.test('reports tail mode problems', async () => {
+    await activate({ 'notify-on-file.watchers': [
+      { globPattern: '*.log', tail: { include: '(', batch: 'yes' }, onChange: [{ notify: '${line}' }] },
+      { globPattern: '*.log', tail: true, onCreate: [{ notify: '${line}' }] }
+    ] });
+    assert.deepStrictEqual(problems(), [
+      'watchers[0].tail.batch: expected boolean, found string',
+      'watchers[0].tail.include: Invalid regular expression: /(/: Unterminated group',
+      'watchers[0]: not created, fix the values of the wrong type',
+      'watchers[1].tail: tail mode runs the onChange actions, but there are none'
+    ]);
+  });
+
+  await t.test('checks only the form of theme color ids', async () => {
+    await activate({ 'notify-on-file.watchers': [{ globPattern: '**/*.txt', onChange: [
+      { showStatusBarItem: 'x', color: 'sideBar.foreground', backgroundColor: 'statusBarItem.warningBackground' },
+      { showStatusBarItem: 'y', color: 'titleBar.activeForeground' },
+      { showStatusBarItem: 'z', color: 'myExtension.alarm' },
+      { showStatusBarItem: 'w', color: 'statusBar foreground' },
+      { showStatusBarItem: 'v', color: 'statusBar.' }
+    ] }] });
+    assert.deepStrictEqual(problems(), [
+      'watchers[0].onChange[3].color: "statusBar foreground" is not a theme color id',
+      'watchers[0].onChange[4].color: "statusBar." is not a theme color id'
+    ]);
+  });
+
+  await t.test('reports a path that does not resolve', async () => {
+    mock.setWorkspaceFolders([{ name: 'one', path: workspace.folder() }, { name: 'two', path: workspace.folder() + '-two' }]);
+    t.after(() => mock.setWorkspaceFolders([{ name: 'workspace', path: workspace.folder() }]));
+    await activate({ 'notify-on-file.watchers': [
+      { name: 'missing', path: '${workspaceFolder:one}/missing', globPattern: '*' },
+      { name: 'multi-root', path: '${workspaceFolder}', globPattern: '*' }
+    ] });
+    assert.deepStrictEqual(problems(), [
+      `watchers[0] (missing).path: "\${workspaceFolder:one}/missing" resolves to "${workspace.folder()}/missing", which does not exist`,
+      'watchers[1] (multi-root).path: "${workspaceFolder}" resolves to "Unknown", which does not exist'
+    ]);
+  });
+
+  await t.test('shows one warning for all problems', async () => {
+    mock.answers.push('Show');
+    await activate({ 'notify-on-file.notify': { globPattern: '**/*.txt', onCreate: [{ notfy: 'x' }] } });
+    assert.deepStrictEqual(calls('window.showWarningMessage').map(call => call.args),
+      [['2 problems in the Notify On File settings.', 'Show']]);
+    assert.deepStrictEqual(problems(), [
+      'notify.onCreate[0]: unknown property "notfy", did you mean "notify"?',
+      'notify.onCreate[0]: no action, use one of showStatusBarItem, removeStatusBarItem, notify, autoSave, revert, runCommand, diff, log, http, exec'
+    ]);
+  });
+});
+
+test('settings schema', async (t) => {
+  const properties = require('../package.json').contributes.configuration.properties;
+
+  await t.test('every $ref points into the schema of a setting', () => {
+    const refs = [];
+    const collect = schema => {
+      if (Array.isArray(schema)) { return schema.forEach(collect); }
+      if (typeof schema !== 'object' || schema === null) { return; }
+      if (schema.$ref) { refs.push(schema.$ref); }
+      Object.values(schema).forEach(collect);
+    };
+    collect(properties);
+    assert.ok(refs.length > 0);
+    for (const ref of new Set(refs)) {
+      const match = /^#\/properties\/([^/]+)\/definitions\/(\w+)$/.exec(ref);
+      assert.ok(match && properties[match[1]].definitions[match[2]], ref);
+    }
+  });
+});
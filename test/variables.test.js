@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { mock, extension, createWorkspace } = require('./harness');
+
+const { variableSubstitution } = extension;
+
+test('variableSubstitution', async (t) => {
+  const workspace = createWorkspace(['app'], { 'app/src/main.test.js': 'first\nmiddle\nlast\n' });
+  t.after(() => workspace.remove());
+  const file = workspace.file('app/src/main.test.js');
+  const uri = mock.Uri.file(file);
+
+  await t.test('file path variables', async () => {
+    assert.strictEqual(await variableSubstitution('${file}', {}, uri), file);
+    assert.strictEqual(await variableSubstitution('${relativeFile}', {}, uri), 'src/main.test.js');
+    assert.strictEqual(await variableSubstitution('${fileBasename}', {}, uri), 'main.test.js');
+    assert.strictEqual(await variableSubstitution('${fileBasenameNoExtension}', {}, uri), 'main.test');
+    assert.strictEqual(await variableSubstitution('${fileExtname}', {}, uri), '.js');
+    assert.strictEqual(await variableSubstitution('${fileDirname}', {}, uri), path.dirname(file));
+    assert.strictEqual(await variableSubstitution('${relativeFileDirname}', {}, uri), 'src');
+    assert.strictEqual(await variableSubstitution('${workspaceFolder}', {}, uri), workspace.folder('app'));
+    assert.strictEqual(await variableSubstitution('${workspaceFolderBasename}', {}, uri), 'app');
+  });
+
+  await t.test('file contents and stat', async () => {
+    assert.strictEqual(await variableSubstitution('${fileContent:firstLine}-${fileContent:lastLine}', {}, uri), 'first-last');
+    assert.strictEqual(await variableSubstitution('${fileSize}', {}, uri), '18');
+  });
+
+  await t.test('event values', async () => {
+    const args = { eventType: 'change', saveOrigin: 'external', watcherName: 'src', match: { 1: 'main', name: 'main' }, eventTime: new Date(2026, 0, 2, 3, 4, 5) };
+    assert.strictEqual(await variableSubstitution('${eventType} ${saveOrigin} ${watcherName}', args, uri), 'change external src');
+    assert.strictEqual(await variableSubstitution('${match:1} ${match:name} [${match:missing}]', args, uri), 'main main []');
+    assert.strictEqual(await variableSubstitution('${date}', args, uri), '2026-01-02 03:04:05');
+    assert.strictEqual(await variableSubstitution('${date:YYYY/MM/DD}', args, uri), '2026/01/02');
+  });
+
+  await t.test('filters', async () => {
+    assert.strictEqual(await variableSubstitution('${fileBasenameNoExtension|upper}', {}, uri), 'MAIN.TEST');
+    assert.strictEqual(await variableSubstitution('${fileBasename|replace:.test:}', {}, uri), 'main.js');
+  });
+
+  await t.test('values from the file are not resolved again', async () => {
+    process.env.NOTIFY_ON_FILE_SECRET = 'hunter2';
+    const secretFile = workspace.write('app/${env:NOTIFY_ON_FILE_SECRET}.txt', 'token=${env:NOTIFY_ON_FILE_SECRET}\n');
+    const secretUri = mock.Uri.file(secretFile);
+    assert.strictEqual(await variableSubstitution('${fileContent:firstLine}', {}, secretUri), 'token=${env:NOTIFY_ON_FILE_SECRET}');
+    assert.strictEqual(await variableSubstitution('${fileContent:lastLine|upper}', {}, secretUri), 'TOKEN=${ENV:NOTIFY_ON_FILE_SECRET}');
+    assert.strictEqual(await variableSubstitution('${fileBasename} ${relativeFile}', {}, secretUri),
+      '${env:NOTIFY_ON_FILE_SECRET}.txt ${env:NOTIFY_ON_FILE_SECRET}.txt');
+    assert.strictEqual(await variableSubstitution('${match:1}', { match: { 1: '${env:NOTIFY_ON_FILE_SECRET}' } }, uri), '${env:NOTIFY_ON_FILE_SECRET}');
+  });
+
+  await t.test('fileContent reads only the start and the end of a large file', async () => {
+    const largeFile = workspace.write('app/large.log', 'head\n' + 'x'.repeat(200 * 1024) + '\ntail\n');
+    const largeUri = mock.Uri.file(largeFile);
+    assert.strictEqual(await variableSubstitution('${fileContent:firstLine}-${fileContent:lastLine}', {}, largeUri), 'head-tail');
+  });
+
+  await t.test('environment variables', async () => {
+    process.env.NOTIFY_ON_FILE_TEST = 'value';
+    assert.strictEqual(await variableSubstitution('${env:NOTIFY_ON_FILE_TEST}'), 'value');
+    assert.strictEqual(await variableSubstitution('${env:NOTIFY_ON_FILE_MISSING}'), '');
+  });
+});
+
+test('variableSubstitution in a multi-root workspace', async (t) => {
+  const workspace = createWorkspace(['client', 'server'], { 'server/api/index.js': '' });
+  t.after(() => workspace.remove());
+  const uri = mock.Uri.file(workspace.file('server/api/index.js'));
+
+  await t.test('workspace variables use the folder of the file', async () => {
+    assert.strictEqual(await variableSubstitution('${workspaceFolder}', {}, uri), workspace.folder('server'));
+    assert.strictEqual(await variableSubstitution('${workspaceFolderBasename}', {}, uri), 'server');
+    assert.strictEqual(await variableSubstitution('${relativeFile}', {}, uri), 'api/index.js');
+  });
+
+  await t.test('${workspaceFolder:Name} looks up the folder by name', async () => {
+    assert.strictEqual(await variableSubstitution('${workspaceFolder:client}', {}, uri), workspace.folder('client'));
+    assert.strictEqual(await variableSubstitution('${workspaceFolder:client}/src'), workspace.folder('client') + '/src');
+  });
+
+  await t.test('unknown names and missing file context are reported', async () => {
+    mock.reset();
+    assert.strictEqual(await variableSubstitution('${workspaceFolder:docs}'), 'Unknown');
+    assert.strictEqual(await variableSubstitution('${workspaceFolder}'), 'Unknown');
+    assert.deepStrictEqual(mock.outputLines('Notify On File'), [
+      '[error] Workspace not found with name: docs',
+      '[error] Use the name of the Workspace Folder'
+    ]);
+  });
+});
@@ -0,0 +1,446 @@
+// A headless stand-in for the parts of the VS Code API used by notify-on-file.js.
+// The file system calls work on the real disk (a temporary workspace); everything
+// the extension shows or runs (notifications, status bar items, commands, ...) is
+// recorded in mock.calls so tests and the replay tool can check it.
+const path = require('path');
+const fs = require('fs');
+const Module = require('module');
+
+// ── Call recording ─────────────────────────────────────────────────────────────
+
+// Every visible effect of the extension: { api: 'window.showInformationMessage', args: [...] }
+const calls = [];
+function record(api, ...args) { calls.push({ api, args }); }
+
+// Answers for notifications and quick picks, consumed in order. An answer is the
+// label of the button to click, or undefined to dismiss the notification.
+const answers = [];
+
+// ── Basic types ────────────────────────────────────────────────────────────────
+
+class Uri {
+  constructor(scheme, fsPath, query) {
+    this.scheme = scheme;
+    this.fsPath = fsPath;
+    this.path = fsPath.replace(/\\/g, '/');
+    this.query = dblQuest(query, '');
+  }
+  static file(fsPath) { return new Uri('file', path.resolve(fsPath)); }
+  static from(components) { return new Uri(components.scheme, components.path, components.query); }
+  static joinPath(uri, ...segments) { return new Uri(uri.scheme, path.join(uri.fsPath, ...segments)); }
+  toString() { return `${this.scheme}://${this.path}${this.query ? '?' + this.query : ''}`; }
+  toJSON() { return this.scheme === 'file' ? this.fsPath : this.toString(); }
+}
+
+function dblQuest(value, deflt) { return value !== undefined ? value : deflt; }
+
+class Disposable {
+  constructor(callOnDispose) { this.callOnDispose = callOnDispose; }
+  dispose() { if (this.callOnDispose) { this.callOnDispose(); this.callOnDispose = undefined; } }
+}
+
+class EventEmitter {
+  constructor() {
+    this.listeners = [];
+    // Same signature as vscode.Event: (listener, thisArgs, disposables)
+    this.event = (listener, thisArgs, disposables) => {
+      const entry = thisArgs ? listener.bind(thisArgs) : listener;
+      this.listeners.push(entry);
+      const disposable = new Disposable(() => { this.listeners = this.listeners.filter(l => l !== entry); });
+      if (disposables) { disposables.push(disposable); }
+      return disposable;
+    };
+  }
+  fire(data) { for (const listener of this.listeners.slice()) { listener(data); } }
+  dispose() { this.listeners = []; }
+}
+
+class RelativePattern {
+  constructor(base, pattern) {
+    this.baseUri = base.uri ? base.uri : (isString(base) ? Uri.file(base) : base);
+    this.base = this.baseUri.fsPath;
+    this.pattern = pattern;
+  }
+}
+
+function isString(obj) { return typeof obj === 'string'; }
+
+class ThemeColor { constructor(id) { this.id = id; } }
+class ThemeIcon { constructor(id) { this.id = id; } }
+class TreeItem { constructor(label, collapsibleState) { this.label = label; this.collapsibleState = collapsibleState; } }
+
+// ── Glob matching ──────────────────────────────────────────────────────────────
+
+/** Converts a VS Code glob (**, *, ?, {a,b}, [abc]) to a RegExp for '/' separated paths. */
+function globToRegExp(glob) {
+  let re = '';
+  let braces = 0;
+  for (let i = 0; i < glob.length; ++i) {
+    const c = glob[i];
+    if (c === '*' && glob[i + 1] === '*') {
+      i += 1;
+      if (glob[i + 1] === '/') { i += 1; re += '(?:.*/)?'; } else { re += '.*'; }
+    } else if (c === '*') { re += '[^/]*'; }
+    else if (c === '?') { re += '[^/]'; }
+    else if (c === '{') { braces += 1; re += '(?:'; }
+    else if (c === '}' && braces > 0) { braces -= 1; re += ')'; }
+    else if (c === ',' && braces > 0) { re += '|'; }
+    else if (c === '[') {
+      const end = glob.indexOf(']', i);
+      if (end < 0) { re += '\\['; continue; }
+      re += '[' + glob.substring(i + 1, end).replace(/^!/, '^') + ']';
+      i = end;
+    }
+    else { re += c.replace(/[.+^$()|\\\]]/g, '\\$&'); }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+/** True if the file path matches a glob string or RelativePattern. */
+function matchesGlob(pattern, fsPath) {
+  const file = fsPath.replace(/\\/g, '/');
+  if (isString(pattern)) {
+    // Like VS Code: a workspace glob is matched against the path relative to its folder
+    const wsf = getWorkspaceFolder(Uri.file(fsPath));
+    const relative = wsf ? path.relative(wsf.uri.fsPath, fsPath).replace(/\\/g, '/') : file;
+    return globToRegExp(pattern).test(relative) || globToRegExp(pattern).test(file);
+  }
+  const base = pattern.base.replace(/\\/g, '/').replace(/\/$/, '');
+  if (!file.startsWith(base + '/')) { return false; }
+  return globToRegExp(pattern.pattern).test(file.substring(base.length + 1));
+}
+
+// ── Workspace ──────────────────────────────────────────────────────────────────
+
+// Settings by full key, e.g. { "notify-on-file.watchers": [...] }, and the settings
+// of the workspace folders by folder name
+let settings = {};
+let folderSettings = {};
+const onDidChangeConfiguration = new EventEmitter();
+const onDidChangeWorkspaceFolders = new EventEmitter();
+const onDidSaveTextDocument = new EventEmitter();
+const onWillRenameFiles = new EventEmitter();
+const onDidRenameFiles = new EventEmitter();
+
+const workspace = {
+  workspaceFolders: undefined,
+  workspaceFile: undefined,
+  textDocuments: [],
+  getWorkspaceFolder,
+  asRelativePath(pathOrUri, includeWorkspaceFolder) {
+    const fsPath = isString(pathOrUri) ? pathOrUri : pathOrUri.fsPath;
+    const wsf = getWorkspaceFolder(Uri.file(fsPath));
+    if (!wsf) { return fsPath; }
+    const relative = path.relative(wsf.uri.fsPath, fsPath).replace(/\\/g, '/');
+    const multiRoot = workspace.workspaceFolders.length > 1;
+    return (includeWorkspaceFolder !== false && multiRoot) ? `${wsf.name}/${relative}` : relative;
+  },
+  getConfiguration(section, scope) {
+    const key = name => section ? `${section}.${name}` : name;
+    // With a resource scope the settings of its workspace folder win
+    const wsf = scope && scope.fsPath ? getWorkspaceFolder(scope) : (scope && scope.uri ? scope : undefined);
+    const folderValue = name => wsf ? dblQuest(folderSettings[wsf.name], {})[key(name)] : undefined;
+    return {
+      get: (name, deflt) => dblQuest(folderValue(name), dblQuest(settings[key(name)], deflt)),
+      has: name => settings.hasOwnProperty(key(name)) || folderValue(name) !== undefined,
+      inspect: name => ({ key: key(name), workspaceValue: settings[key(name)], workspaceFolderValue: folderValue(name) })
+    };
+  },
+  onDidChangeConfiguration: onDidChangeConfiguration.event,
+  onDidChangeWorkspaceFolders: onDidChangeWorkspaceFolders.event,
+  onDidSaveTextDocument: onDidSaveTextDocument.event,
+  onWillRenameFiles: onWillRenameFiles.event,
+  onDidRenameFiles: onDidRenameFiles.event,
+  createFileSystemWatcher(globPattern, ignoreCreateEvents, ignoreChangeEvents, ignoreDeleteEvents) {
+    const watcher = {
+      globPattern, ignoreCreateEvents, ignoreChangeEvents, ignoreDeleteEvents,
+      created: new EventEmitter(), changed: new EventEmitter(), deleted: new EventEmitter(),
+      dispose() {
+        const index = fileSystemWatchers.indexOf(watcher);
+        if (index >= 0) { fileSystemWatchers.splice(index, 1); }
+      }
+    };
+    watcher.onDidCreate = watcher.created.event;
+    watcher.onDidChange = watcher.changed.event;
+    watcher.onDidDelete = watcher.deleted.event;
+    fileSystemWatchers.push(watcher);
+    return watcher;
+  },
+  async findFiles(include, exclude, maxResults) {
+    record('workspace.findFiles', include, exclude, maxResults);
+    const roots = isString(include) ? dblQuest(workspace.workspaceFolders, []).map(wsf => wsf.uri.fsPath) : [include.base];
+    // Like VS Code: without exclude the files.exclude setting applies, with null nothing is excluded
+    if (exclude === undefined) {
+      const filesExclude = dblQuest(settings['files.exclude'], {});
+      const globs = Object.keys(filesExclude).filter(glob => filesExclude[glob] === true);
+      exclude = globs.length > 0 ? `{${globs.join(',')}}` : null;
+    }
+    const result = [];
+    for (const root of roots) {
+      for (const file of walk(root)) {
+        if (result.length >= dblQuest(maxResults, Infinity)) { return result; }
+        if (exclude && matchesGlob(exclude, file)) { continue; }
+        if (matchesGlob(include, file)) { result.push(Uri.file(file)); }
+      }
+    }
+    return result;
+  },
+  async openTextDocument(uri) {
+    let doc = workspace.textDocuments.find(d => d.uri.toString() === uri.toString());
+    if (!doc) {
+      doc = createTextDocument(uri);
+      workspace.textDocuments.push(doc);
+    }
+    if (!doc.isDirty && uri.scheme === 'file') { doc.text = fs.readFileSync(uri.fsPath, 'utf8'); }
+    return doc;
+  },
+  registerTextDocumentContentProvider(scheme, provider) {
+    contentProviders[scheme] = provider;
+    return new Disposable(() => { delete contentProviders[scheme]; });
+  },
+  fs: {
+    async stat(uri) {
+      const stat = await fs.promises.stat(uri.fsPath);
+      return { type: stat.isDirectory() ? FileType.Directory : FileType.File, size: stat.size, ctime: stat.ctimeMs, mtime: stat.mtimeMs };
+    },
+    async readFile(uri) { return new Uint8Array(await fs.promises.readFile(uri.fsPath)); },
+    async writeFile(uri, content) {
+      record('workspace.fs.writeFile', uri);
+      await fs.promises.mkdir(path.dirname(uri.fsPath), { recursive: true });
+      await fs.promises.writeFile(uri.fsPath, content);
+    },
+    async delete(uri, options) {
+      record('workspace.fs.delete', uri, options);
+      await fs.promises.rm(uri.fsPath, { recursive: true, force: true });
+    }
+  }
+};
+
+// Providers registered with registerTextDocumentContentProvider, by scheme
+const contentProviders = {};
+
+// The watchers created with createFileSystemWatcher that are not disposed
+const fileSystemWatchers = [];
+
+const FileType = { Unknown: 0, File: 1, Directory: 2, SymbolicLink: 64 };
+
+function getWorkspaceFolder(uri) {
+  let found = undefined;
+  for (const wsf of dblQuest(workspace.workspaceFolders, [])) {
+    const base = wsf.uri.fsPath;
+    if (uri.fsPath === base || uri.fsPath.startsWith(base + path.sep)) {
+      // The innermost folder wins
+      if (!found || base.length > found.uri.fsPath.length) { found = wsf; }
+    }
+  }
+  return found;
+}
+
+/** Returns the paths of all files below dir. */
+function walk(dir) {
+  let result = [];
+  let entries = [];
+  try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch (e) { return result; }
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) { result = result.concat(walk(fullPath)); }
+    else { result.push(fullPath); }
+  }
+  return result;
+}
+
+/** A TextDocument of the file at uri; save() writes the text and fires onDidSaveTextDocument. */
+function createTextDocument(uri) {
+  const doc = {
+    uri,
+    fileName: uri.fsPath,
+    isDirty: false,
+    text: '',
+    getText() { return doc.text; },
+    async save() {
+      record('TextDocument.save', uri);
+      fs.writeFileSync(uri.fsPath, doc.text);
+      doc.isDirty = false;
+      onDidSaveTextDocument.fire(doc);
+      return true;
+    }
+  };
+  return doc;
+}
+
+// ── Window ─────────────────────────────────────────────────────────────────────
+
+const StatusBarAlignment = { Left: 1, Right: 2 };
+const TreeItemCollapsibleState = { None: 0, Collapsed: 1, Expanded: 2 };
+
+// Output channels by name, with all lines written to them
+const outputChannels = {};
+
+function showMessage(api) {
+  return async (message, ...items) => {
+    // The first item can be a MessageOptions object
+    const labels = items.filter(item => isString(item));
+    record(api, message, ...labels);
+    const answer = answers.shift();
+    return labels.indexOf(answer) >= 0 ? answer : undefined;
+  };
+}
+
+const window = {
+  activeTextEditor: undefined,
+  showInformationMessage: showMessage('window.showInformationMessage'),
+  showWarningMessage: showMessage('window.showWarningMessage'),
+  showErrorMessage: showMessage('window.showErrorMessage'),
+  async showQuickPick(items, options) {
+    record('window.showQuickPick', items.map(item => isString(item) ? item : item.label));
+    const answer = answers.shift();
+    return items.find(item => (isString(item) ? item : item.label) === answer);
+  },
+  async showTextDocument(docOrUri, options) {
+    const doc = docOrUri.uri ? docOrUri : await workspace.openTextDocument(docOrUri);
+    record('window.showTextDocument', doc.uri, options);
+    window.activeTextEditor = { document: doc, viewColumn: 1 };
+    return window.activeTextEditor;
+  },
+  createOutputChannel(name) {
+    const channel = outputChannels[name] = dblQuest(outputChannels[name], { name, lines: [] });
+    channel.append = text => { channel.lines.push(text); };
+    channel.appendLine = text => { channel.lines.push(text); };
+    channel.show = () => {};
+    channel.dispose = () => {};
+    return channel;
+  },
+  createStatusBarItem(id, alignment, priority) {
+    const item = {
+      id, alignment, priority, text: '', tooltip: undefined, command: undefined, visible: false,
+      show() { item.visible = true; record('StatusBarItem.show', id, item.text, item.tooltip); },
+      hide() { item.visible = false; record('StatusBarItem.hide', id); },
+      dispose() { item.visible = false; record('StatusBarItem.dispose', id); }
+    };
+    return item;
+  },
+  registerTreeDataProvider(viewId, provider) {
+    treeDataProviders[viewId] = provider;
+    return new Disposable(() => { delete treeDataProviders[viewId]; });
+  }
+};
+
+// Providers registered with registerTreeDataProvider, by view id
+const treeDataProviders = {};
+
+// ── Commands ───────────────────────────────────────────────────────────────────
+
+const registeredCommands = {};
+
+const commands = {
+  registerCommand(id, callback) {
+    registeredCommands[id] = callback;
+    return new Disposable(() => { delete registeredCommands[id]; });
+  },
+  async executeCommand(id, ...args) {
+    record('commands.executeCommand', id, ...args);
+    if (registeredCommands[id]) { return await registeredCommands[id](...args); }
+    // The editor commands used by autoSave and revert work on the active editor
+    const editor = window.activeTextEditor;
+    if (id === 'workbench.action.files.revert' && editor) {
+      editor.document.text = fs.readFileSync(editor.document.uri.fsPath, 'utf8');
+      editor.document.isDirty = false;
+    }
+    if (id === 'workbench.action.files.saveWithoutFormatting' && editor) { await editor.document.save(); }
+  }
+};
+
+// ── Languages ──────────────────────────────────────────────────────────────────
+
+const languages = {
+  // Only the document filter { pattern } is supported
+  match(selector, document) { return matchesGlob(selector.pattern, document.uri.fsPath) ? 10 : 0; }
+};
+
+// ── Test helpers ───────────────────────────────────────────────────────────────
+
+/**
+ * Sets the workspace folders: an array of { name, path }. With workspaceFile the
+ * workspace is opened from a .code-workspace file, so the folders have their own settings.
+ */
+function setWorkspaceFolders(folders, workspaceFile) {
+  workspace.workspaceFolders = folders.map((folder, index) => ({ name: folder.name, uri: Uri.file(folder.path), index }));
+  workspace.workspaceFile = workspaceFile ? Uri.file(workspaceFile) : undefined;
+}
+
+/**
+ * Adds workspace folders ({ name, path }) and removes the folders with the given
+ * names, then fires onDidChangeWorkspaceFolders.
+ */
+function changeWorkspaceFolders(added, removedNames) {
+  const removed = workspace.workspaceFolders.filter(wsf => removedNames.indexOf(wsf.name) >= 0);
+  const kept = workspace.workspaceFolders.filter(wsf => removed.indexOf(wsf) < 0);
+  const addedFolders = added.map((folder, i) => ({ name: folder.name, uri: Uri.file(folder.path), index: kept.length + i }));
+  workspace.workspaceFolders = kept.concat(addedFolders);
+  workspace.workspaceFolders.forEach((wsf, index) => { wsf.index = index; });
+  onDidChangeWorkspaceFolders.fire({ added: addedFolders, removed });
+}
+
+/**
+ * Replaces the settings and fires onDidChangeConfiguration for the changed sections.
+ * newFolderSettings has the settings of the workspace folders by folder name.
+ */
+function setSettings(newSettings, fire, newFolderSettings) {
+  settings = Object.assign({}, newSettings);
+  folderSettings = Object.assign({}, newFolderSettings);
+  if (fire) { onDidChangeConfiguration.fire({ affectsConfiguration: section => Object.keys(settings).some(k => k.startsWith(section)) }); }
+}
+
+/**
+ * Fires an event of the file system watchers whose pattern matches the file.
+ * type is 'create', 'change' or 'delete'; the file on disk is not touched.
+ */
+function fireFileEvent(type, fsPath) {
+  const uri = Uri.file(fsPath);
+  for (const watcher of fileSystemWatchers.slice()) {
+    if (!matchesGlob(watcher.globPattern, uri.fsPath)) { continue; }
+    if (type === 'create' && !watcher.ignoreCreateEvents) { watcher.created.fire(uri); }
+    if (type === 'change' && !watcher.ignoreChangeEvents) { watcher.changed.fire(uri); }
+    if (type === 'delete' && !watcher.ignoreDeleteEvents) { watcher.deleted.fire(uri); }
+  }
+}
+
+/** Marks the file as saved by VS Code, like a save from an editor, without writing it. */
+function fireSave(fsPath) {
+  onDidSaveTextDocument.fire(createTextDocument(Uri.file(fsPath)));
+}
+
+/** Returns the lines written to an output channel. */
+function outputLines(name) { return outputChannels[name] ? outputChannels[name].lines : []; }
+
+/** Clears the recorded calls, the answers, the open documents and the output channels. */
+function reset() {
+  calls.length = 0;
+  answers.length = 0;
+  workspace.textDocuments = [];
+  window.activeTextEditor = undefined;
+  for (const name of Object.keys(outputChannels)) { outputChannels[name].lines = []; }
+}
+
+/**
+ * Makes require('vscode') return this module. Call it before notify-on-file.js is loaded;
+ * the 'vscode' package only exists inside the VS Code extension host.
+ */
+function install() {
+  const resolveFilename = Module._resolveFilename;
+  Module._resolveFilename = function (request, ...rest) {
+    if (request === 'vscode') { return __filename; }
+    return resolveFilename.call(this, request, ...rest);
+  };
+}
+
+module.exports = {
+  // VS Code API
+  Uri, Disposable, EventEmitter, RelativePattern, ThemeColor, ThemeIcon, TreeItem,
+  TreeItemCollapsibleState, StatusBarAlignment, FileType,
+  workspace, window, commands, languages,
+  // Test helpers
+  calls, answers, fileSystemWatchers, registeredCommands, treeDataProviders, contentProviders,
+  globToRegExp, matchesGlob, setWorkspaceFolders, changeWorkspaceFolders, setSettings, fireFileEvent, fireSave,
+  outputLines, reset, install
+};
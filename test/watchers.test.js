@@ -0,0 +1,288 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { mock, settle, createWorkspace, activate, deactivate, calls } = require('./harness');
+
+/** The messages of the information notifications shown so far. */
+function notifications() { return calls('window.showInformationMessage').map(call => call.args[0]); }
+
+test('createWatcher', async (t) => {
+  const workspace = createWorkspace(['workspace'], { 'workspace/a.txt': 'a', 'workspace/b.md': 'b' });
+  t.after(() => workspace.remove());
+  t.afterEach(() => deactivate());
+
+  await t.test('creates one file system watcher per glob pattern, relative to path', async () => {
+    await activate({ 'notify-on-file.watchers': [
+      { path: '${workspaceFolder}', globPatterns: ['**/*.txt', '**/*.md'], onCreate: [{ notify: 'created' }] }
+    ] });
+    assert.strictEqual(mock.fileSystemWatchers.length, 2);
+    assert.deepStrictEqual(mock.fileSystemWatchers.map(w => [w.globPattern.base, w.globPattern.pattern]),
+      [[workspace.folder(), '**/*.txt'], [workspace.folder(), '**/*.md']]);
+    // Only the event types with actions are watched
+    assert.deepStrictEqual(mock.fileSystemWatchers.map(w => [w.ignoreCreateEvents, w.ignoreChangeEvents, w.ignoreDeleteEvents]),
+      [[false, true, true], [false, true, true]]);
+  });
+
+  await t.test('filters change events by save origin', async () => {
+    await activate({ 'notify-on-file.watchers': [
+      { name: 'external', globPattern: '**/*.txt', triggerOnVSCodeSave: false, onChange: [{ notify: 'external ${saveOrigin}' }] },
+      { name: 'vscode', globPattern: '**/*.txt', triggerOnExternalSave: false, onChange: [{ notify: 'vscode ${saveOrigin}' }] },
+      { name: 'all', globPattern: '**/*.txt', onChange: [{ notify: 'all ${saveOrigin}' }] }
+    ] });
+    const file = workspace.file('workspace/a.txt');
+    mock.fireFileEvent('change', file);
+    await settle();
+    assert.deepStrictEqual(notifications(), ['external external', 'all external']);
+
+    mock.reset();
+    mock.fireSave(file);
+    mock.fireFileEvent('change', file);
+    await settle();
+    assert.deepStrictEqual(notifications(), ['vscode vscode', 'all vscode']);
+  });
+
+  await t.test('skips excluded files', async () => {
+    await activate({ 'notify-on-file.watchers': [
+      { path: '${workspaceFolder}', globPattern: '**/*', exclude: ['**/*.md'], onChange: [{ notify: '${relativeFile}' }] }
+    ] });
+    mock.fireFileEvent('change', workspace.file('workspace/a.txt'));
+    mock.fireFileEvent('change', workspace.file('workspace/b.md'));
+    await settle();
+    assert.deepStrictEqual(notifications(), ['a.txt']);
+  });
+
+  await t.test('useGitignore applies negated patterns and reads the .gitignore again when it changes', async (t) => {
+    workspace.write('workspace/.gitignore', '# build output\n*.log\n!keep.log\n');
+    t.after(() => fs.rmSync(workspace.file('workspace/.gitignore')));
+    await activate({ 'notify-on-file.watchers': [{ globPattern: '**/*', useGitignore: true, onChange: [{ notify: '${relativeFile}' }] }] });
+    for (const file of ['a.txt', 'out.log', 'keep.log']) { mock.fireFileEvent('change', workspace.file('workspace/' + file)); }
+    await settle();
+    assert.deepStrictEqual(notifications(), ['a.txt', 'keep.log']);
+    mock.reset();
+    workspace.write('workspace/.gitignore', '*.txt\n');
+    mock.fireFileEvent('change', workspace.file('workspace/.gitignore'));
+    await settle();
+    mock.reset();
+    for (const file of ['a.txt', 'out.log']) { mock.fireFileEvent('change', workspace.file('workspace/' + file)); }
+    await settle();
+    assert.deepStrictEqual(notifications(), ['out.log']);
+  });
+
+  await t.test('an event reported by two glob patterns runs the actions once', async () => {
+    await activate({ 'notify-on-file.watchers': [
+      { globPatterns: ['**/*.txt', '**/a.*'], onChange: [{ notify: '${relativeFile}' }] }
+    ] });
+    mock.fireFileEvent('change', workspace.file('workspace/a.txt'));
+    await settle();
+    assert.deepStrictEqual(notifications(), ['a.txt']);
+  });
+
+  await t.test('the history reads no files by default and shows the save origin of changes', async (t) => {
+    await activate({ 'notify-on-file.watchers': [
+      { name: 'txt', globPattern: '**/*.txt', onCreate: [{ notify: 'created' }], onChange: [{ notify: 'changed' }] }
+    ] });
+    const readFile = t.mock.method(mock.workspace.fs, 'readFile');
+    workspace.write('workspace/c.txt', 'c');
+    mock.fireFileEvent('create', workspace.file('workspace/c.txt'));
+    mock.fireFileEvent('change', workspace.file('workspace/c.txt'));
+    await settle();
+    assert.strictEqual(readFile.mock.callCount(), 0);
+    const provider = mock.treeDataProviders['notify-on-file.history'];
+    const [watcherNode] = provider.getChildren();
+    const [fileNode] = provider.getChildren(watcherNode);
+    assert.deepStrictEqual(provider.getChildren(fileNode).map(node => provider.getTreeItem(node).description), ['external save', '']);
+  });
+
+  await t.test('the when condition is checked once the debounced event is due', async (t) => {
+    await activate({ 'notify-on-file.watchers': [
+      { globPattern: '**/*.txt', debounceMs: 100, when: { contentMatches: 'ERROR' }, onChange: [{ notify: 'error in ${relativeFile}' }] }
+    ] });
+    const readFile = t.mock.method(mock.workspace.fs, 'readFile');
+    workspace.write('workspace/d.txt', 'ERROR');
+    for (let i = 0; i < 5; ++i) { mock.fireFileEvent('change', workspace.file('workspace/d.txt')); }
+    await settle(200);
+    assert.strictEqual(readFile.mock.callCount(), 1);
+    assert.deepStrictEqual(notifications(), ['error in d.txt']);
+  });
+
+  await t.test('an event that does not match the when condition is not throttled', async () => {
+    await activate({ 'notify-on-file.watchers': [
+      { globPattern: '**/*.txt', throttleMs: 5000, when: { contentMatches: 'ERROR' }, onChange: [{ notify: 'error in ${relativeFile}' }] }
+    ] });
+    workspace.write('workspace/d.txt', 'fine');
+    mock.fireFileEvent('change', workspace.file('workspace/d.txt'));
+    await settle();
+    workspace.write('workspace/d.txt', 'ERROR');
+    mock.fireFileEvent('change', workspace.file('workspace/d.txt'));
+    mock.fireFileEvent('change', workspace.file('workspace/d.txt'));
+    await settle();
+    assert.deepStrictEqual(notifications(), ['error in d.txt']);
+  });
+
+  await t.test('a batch checks the when condition once per file', async (t) => {
+    await activate({ 'notify-on-file.watchers': [
+      { globPattern: '**/*.txt', batch: true, batchMs: 100, when: { contentMatches: 'ERROR' }, onChange: [{ notify: '${eventCount}: ${fileList}' }] }
+    ] });
+    const readFile = t.mock.method(mock.workspace.fs, 'readFile');
+    workspace.write('workspace/d.txt', 'ERROR');
+    for (let i = 0; i < 3; ++i) { mock.fireFileEvent('change', workspace.file('workspace/d.txt')); }
+    mock.fireFileEvent('change', workspace.file('workspace/a.txt'));
+    await settle(200);
+    assert.strictEqual(readFile.mock.callCount(), 2);
+    assert.deepStrictEqual(notifications(), ['3: d.txt']);
+  });
+
+  await t.test('maxEvents skips the runs over the limit and reports them once per window', async () => {
+    await activate({ 'notify-on-file.watchers': [
+      { globPattern: '**/*.txt', maxEvents: 2, maxEventsMs: 200, stormMessage: 'skipped ${eventCount}', onChange: [{ notify: '${relativeFile}' }] }
+    ] });
+    for (let i = 0; i < 10; ++i) { mock.fireFileEvent('change', workspace.file('workspace/a.txt')); }
+    await settle();
+    assert.deepStrictEqual(notifications(), ['a.txt', 'a.txt']);
+    await settle(250);
+    assert.deepStrictEqual(notifications(), ['a.txt', 'a.txt', 'skipped 8']);
+
+    // A window within the limit shows no message
+    mock.reset();
+    mock.fireFileEvent('change', workspace.file('workspace/a.txt'));
+    await settle(250);
+    assert.deepStrictEqual(notifications(), ['a.txt']);
+  });
+
+  await t.test('the stormMessage of a batch counts the events of the skipped batches', async () => {
+    await activate({ 'notify-on-file.watchers': [
+      { globPattern: '**/*.txt', batch: true, batchMs: 50, maxEvents: 1, maxEventsMs: 300, onChange: [{ notify: '${eventCount}' }] }
+    ] });
+    for (let i = 0; i < 2; ++i) { mock.fireFileEvent('change', workspace.file('workspace/a.txt')); }
+    await settle(100);
+    for (let i = 0; i < 3; ++i) { mock.fireFileEvent('change', workspace.file('workspace/a.txt')); }
+    await settle(350);
+    assert.deepStrictEqual(notifications(), ['2', 'Notify On File: 3 file events']);
+  });
+
+  await t.test('an unknown condition is reported once, not for every event', async () => {
+    await activate({ 'notify-on-file.watchers': [
+      { globPattern: '**/*.txt', when: { sizeGreaterThen: 0 }, onChange: [{ notify: 'changed' }] }
+    ] });
+    mock.fireFileEvent('change', workspace.file('workspace/a.txt'));
+    mock.fireFileEvent('change', workspace.file('workspace/a.txt'));
+    await settle();
+    const lines = mock.outputLines('Notify On File');
+    assert.deepStrictEqual(lines.filter(line => line.includes('sizeGreaterThen')),
+      ['[config]   watchers[0].when: unknown property "sizeGreaterThen", did you mean "sizeGreaterThan"?']);
+    assert.deepStrictEqual(notifications(), []);
+  });
+
+  await t.test('paused watchers ignore events', async () => {
+    await activate({ 'notify-on-file.watchers': [
+      { name: 'txt', globPattern: '**/*.txt', onChange: [{ notify: '${relativeFile}' }] }
+    ] });
+    await mock.commands.executeCommand('notify-on-file.pauseWatcher', 'txt');
+    mock.fireFileEvent('change', workspace.file('workspace/a.txt'));
+    await settle();
+    await mock.commands.executeCommand('notify-on-file.resumeAll');
+    assert.deepStrictEqual(notifications(), []);
+  });
+});
+
+test('rename detection', async (t) => {
+  const workspace = createWorkspace(['workspace']);
+  t.after(() => workspace.remove());
+  t.beforeEach(() => {
+    fs.rmSync(workspace.folder(), { recursive: true, force: true });
+    workspace.write('workspace/a/config.json', '{ "a": 1 }');
+  });
+  t.afterEach(() => deactivate());
+  const settings = { 'notify-on-file.watchers': [{ globPattern: '**/*.json', renameWindowMs: 100,
+    onCreate: [{ notify: 'create ${relativeFile}' }], onDelete: [{ notify: 'delete ${relativeFile}' }],
+    onRename: [{ notify: 'rename ${oldRelativeFile} ${relativeFile}' }] }] };
+
+  /** Moves a file and reports the delete and create like a file system watcher. */
+  const move = async (from, to) => {
+    fs.mkdirSync(workspace.file(to + '/..'), { recursive: true });
+    fs.renameSync(workspace.file(from), workspace.file(to));
+    mock.fireFileEvent('delete', workspace.file(from));
+    mock.fireFileEvent('create', workspace.file(to));
+    await settle(200);
+  };
+
+  await t.test('pairs a moved file by its contents', async () => {
+    await activate(settings);
+    await move('workspace/a/config.json', 'workspace/b/settings.json');
+    assert.deepStrictEqual(notifications(), ['rename a/config.json b/settings.json']);
+  });
+
+  await t.test('a file with the same name in another folder is not a rename', async () => {
+    await activate(settings);
+    // Just changed, so its fingerprint is not known yet
+    mock.fireFileEvent('change', workspace.file('workspace/a/config.json'));
+    fs.rmSync(workspace.file('workspace/a/config.json'));
+    mock.fireFileEvent('delete', workspace.file('workspace/a/config.json'));
+    workspace.write('workspace/b/config.json', '{ "b": 2 }');
+    mock.fireFileEvent('create', workspace.file('workspace/b/config.json'));
+    await settle(200);
+    assert.deepStrictEqual(notifications().sort(), ['create b/config.json', 'delete a/config.json']);
+  });
+
+  await t.test('a changed file is fingerprinted once the changes stop', async (t) => {
+    await activate(settings);
+    const readFile = t.mock.method(mock.workspace.fs, 'readFile');
+    for (const text of ['{ "a": 2 }', '{ "a": 3 }', '{ "a": 4 }']) {
+      workspace.write('workspace/a/config.json', text);
+      mock.fireFileEvent('change', workspace.file('workspace/a/config.json'));
+      await settle();
+    }
+    assert.strictEqual(readFile.mock.callCount(), 0);
+    await settle(1100);
+    assert.strictEqual(readFile.mock.callCount(), 1);
+    await move('workspace/a/config.json', 'workspace/b/config.json');
+    assert.deepStrictEqual(notifications(), ['rename a/config.json b/config.json']);
+  });
+});
+
+test('updateConfiguration', async (t) => {
+  const workspace = createWorkspace(['workspace'], { 'workspace/a.txt': 'a' });
+  t.after(() => workspace.remove());
+  t.afterEach(() => deactivate());
+
+  await t.test('uses the legacy notify object if there are no watchers', async () => {
+    await activate({
+      'notify-on-file.watchers': [],
+      'notify-on-file.notify': { globPattern: '**/*.txt', onDelete: [{ notify: 'legacy ${relativeFile}' }] }
+    });
+    assert.strictEqual(mock.fileSystemWatchers.length, 1);
+    mock.fireFileEvent('delete', workspace.file('workspace/a.txt'));
+    await settle();
+    assert.deepStrictEqual(notifications(), ['legacy a.txt']);
+  });
+
+  await t.test('ignores the legacy notify object if there are watchers', async () => {
+    await activate({
+      'notify-on-file.watchers': [{ globPattern: '**/*.txt', onDelete: [{ notify: 'new ${relativeFile}' }] }],
+      'notify-on-file.notify': { globPattern: '**/*.txt', onDelete: [{ notify: 'legacy ${relativeFile}' }] }
+    });
+    assert.strictEqual(mock.fileSystemWatchers.length, 1);
+    mock.fireFileEvent('delete', workspace.file('workspace/a.txt'));
+    await settle();
+    assert.deepStrictEqual(notifications(), ['new a.txt']);
+  });
+
+  await t.test('recreates the watchers when the configuration changes', async () => {
+    await activate({ 'notify-on-file.watchers': [{ globPattern: '**/*.txt', onCreate: [{ notify: 'one' }] }] });
+    mock.setSettings({ 'notify-on-file.watchers': [
+      { globPattern: '**/*.txt', onCreate: [{ notify: 'two' }] },
+      { globPattern: '**/*.md', onCreate: [{ notify: 'three' }] }
+    ] }, true);
+    await settle();
+    assert.strictEqual(mock.fileSystemWatchers.length, 2);
+    mock.fireFileEvent('create', workspace.file('workspace/a.txt'));
+    await settle();
+    assert.deepStrictEqual(notifications(), ['two']);
+  });
+
+  await t.test('disposes all watchers on deactivate', async () => {
+    await activate({ 'notify-on-file.watchers': [{ globPattern: '**/*.txt', onCreate: [{ notify: 'one' }] }] });
+    deactivate();
+    assert.strictEqual(mock.fileSystemWatchers.length, 0);
+  });
+});